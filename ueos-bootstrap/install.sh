@@ -493,6 +493,22 @@ EOF
     log_success "Module placeholders created"
 }
 
+# Install the orchestrator library shipped next to this script
+# (replaces the generated cli.js with the full ueos CLI)
+install_library() {
+    local source_lib
+    source_lib="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)/lib"
+
+    if [ -d "$source_lib" ]; then
+        log_info "Installing orchestrator library..."
+        cp -R "$source_lib/." "$UEOS_HOME/lib/"
+        mkdir -p "$UEOS_HOME"/runtime/{journal,queue,traces}
+        log_success "Orchestrator library installed"
+    else
+        log_warning "Orchestrator library not found next to installer - skipping"
+    fi
+}
+
 # Final setup
 finalize_installation() {
     log_info "Finalizing installation..."
@@ -502,7 +518,7 @@ finalize_installation() {
 # UEOS Bash completion
 _ueos_completions() {
     local cur="${COMP_WORDS[COMP_CWORD]}"
-    local commands="init develop status watch spec test deploy help"
+    local commands="init develop run status logs cancel metrics watch spec test deploy help"
 
     if [ $COMP_CWORD -eq 1 ]; then
         COMPREPLY=($(compgen -W "$commands" -- "$cur"))
@@ -532,6 +548,12 @@ ueos develop "Build a REST API with authentication"
 # Monitor progress
 ueos status
 ueos watch
+
+# Run a task file and follow an execution
+ueos run task.json
+ueos logs <execution-id> --follow
+ueos cancel <execution-id>
+ueos metrics
 \`\`\`
 
 ## Configuration
@@ -539,6 +561,7 @@ ueos watch
 Configuration files are located in:
 - Global: ~/.ueos/config/
 - Project: ./.ueos/config.json
+- Orchestrator overrides: ./.ueos-local/config.json (merged over ~/.ueos/config/global.json)
 
 ## Support
 
@@ -586,6 +609,7 @@ main() {
     initialize_config
     create_cli_library
     create_placeholders
+    install_library
     finalize_installation
     print_success
 }
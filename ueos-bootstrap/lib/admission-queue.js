@@ -0,0 +1,232 @@
+/**
+ * Admission Queue - Limits how many executions share the agents at once
+ * Executions beyond maxConcurrent wait here. The next one admitted has the
+ * highest priority (waiting time slowly raises it); among equals, the
+ * submitter with the fewest running executions goes first. A full queue
+ * rejects new work immediately instead of letting it pile up.
+ */
+
+const EventEmitter = require('events');
+const { PRIORITIES } = require('./task-scheduler');
+const { abortReason } = require('./cancellation');
+
+class QueueFullError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'QueueFullError';
+        this.code = 'QUEUE_FULL';
+        Object.assign(this, details);
+    }
+}
+
+class AdmissionQueue extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.maxConcurrent = Math.max(1, Math.floor(options.maxConcurrent || 2));
+        this.maxQueueDepth = options.maxQueueDepth ?? 100;
+        this.maxQueuedPerSubmitter = options.maxQueuedPerSubmitter ?? Infinity;
+        this.maxRunningPerSubmitter = options.maxRunningPerSubmitter ?? Infinity;
+        this.agingInterval = options.agingInterval ?? 60000;
+
+        this.waiting = [];
+        this.running = new Map();
+        this.sequence = 0;
+    }
+
+    // Throws QueueFullError synchronously; otherwise resolves with a release
+    // function once the execution may start
+    enqueue(id, { priority, submitter = 'default', signal } = {}) {
+        if (signal?.aborted) {
+            return Promise.reject(abortReason(signal));
+        }
+
+        if (this.waiting.length >= this.maxQueueDepth && this.running.size >= this.maxConcurrent) {
+            throw new QueueFullError(
+                `Execution queue is full (${this.waiting.length} waiting, limit ${this.maxQueueDepth}); try again later`,
+                { depth: this.waiting.length, limit: this.maxQueueDepth }
+            );
+        }
+
+        const queuedBySubmitter = this.waiting.filter(entry => entry.submitter === submitter).length;
+        if (queuedBySubmitter >= this.maxQueuedPerSubmitter) {
+            throw new QueueFullError(
+                `Submitter "${submitter}" already has ${queuedBySubmitter} executions queued (limit ${this.maxQueuedPerSubmitter})`,
+                { submitter, depth: queuedBySubmitter, limit: this.maxQueuedPerSubmitter }
+            );
+        }
+
+        return new Promise((resolve, reject) => {
+            const entry = {
+                id,
+                submitter,
+                priority: priorityValue(priority),
+                sequence: this.sequence++,
+                queuedAt: Date.now(),
+                resolve,
+                reject
+            };
+
+            if (signal) {
+                entry.onAbort = () => {
+                    this.remove(entry);
+                    reject(abortReason(signal));
+                };
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+                entry.signal = signal;
+            }
+
+            this.waiting.push(entry);
+            this.emit('queued', { id, submitter, priority: entry.priority, position: this.position(id) });
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        while (this.running.size < this.maxConcurrent) {
+            const entry = this.next();
+            if (!entry) return;
+
+            this.remove(entry);
+            this.running.set(entry.id, { submitter: entry.submitter, startedAt: Date.now() });
+
+            let released = false;
+            const release = () => {
+                if (released) return;
+                released = true;
+                this.running.delete(entry.id);
+                this.emit('released', { id: entry.id });
+                this.dispatch();
+            };
+
+            this.emit('admitted', { id: entry.id, submitter: entry.submitter, waited: Date.now() - entry.queuedAt });
+            entry.resolve(release);
+        }
+    }
+
+    next(waiting = this.waiting, running = this.running) {
+        const now = Date.now();
+        const runningBySubmitter = new Map();
+        running.forEach(({ submitter }) => {
+            runningBySubmitter.set(submitter, (runningBySubmitter.get(submitter) || 0) + 1);
+        });
+
+        const eligible = waiting.filter(entry =>
+            (runningBySubmitter.get(entry.submitter) || 0) < this.maxRunningPerSubmitter
+        );
+        if (eligible.length === 0) return null;
+
+        const effective = (entry) => this.effectivePriority(entry, now);
+
+        return eligible.reduce((best, entry) => {
+            const difference = effective(entry) - effective(best) ||
+                (runningBySubmitter.get(best.submitter) || 0) - (runningBySubmitter.get(entry.submitter) || 0) ||
+                best.sequence - entry.sequence;
+            return difference > 0 ? entry : best;
+        });
+    }
+
+    // Long waits earn one priority level per agingInterval so low priority work still runs
+    effectivePriority(entry, now = Date.now()) {
+        return entry.priority +
+            (this.agingInterval > 0 ? Math.floor((now - entry.queuedAt) / this.agingInterval) : 0);
+    }
+
+    remove(entry) {
+        const index = this.waiting.indexOf(entry);
+        if (index !== -1) this.waiting.splice(index, 1);
+        entry.signal?.removeEventListener('abort', entry.onAbort);
+    }
+
+    position(id) {
+        const entry = this.waiting.find(candidate => candidate.id === id);
+        return entry ? this.positions().get(entry) : null;
+    }
+
+    // Every waiting entry's 1-based position in the order next() would admit
+    // them right now, in one sorted pass. Within a priority level next() takes
+    // the submitter with the fewest running, so a submitter's k-th entry there
+    // ranks by its running count plus k. Entries held back by
+    // maxRunningPerSubmitter share the last place
+    positions() {
+        const now = Date.now();
+        const runningBySubmitter = new Map();
+        this.running.forEach(({ submitter }) => {
+            runningBySubmitter.set(submitter, (runningBySubmitter.get(submitter) || 0) + 1);
+        });
+
+        const levels = new Map();
+        [...this.waiting]
+            .sort((a, b) => a.sequence - b.sequence)
+            .forEach(entry => {
+                const level = this.effectivePriority(entry, now);
+                if (!levels.has(level)) levels.set(level, []);
+                levels.get(level).push(entry);
+            });
+
+        const order = [];
+        const blocked = [];
+        Array.from(levels.keys()).sort((a, b) => b - a).forEach(level => {
+            const seen = new Map();
+            const ranked = levels.get(level).map(entry => {
+                const rank = (runningBySubmitter.get(entry.submitter) || 0) + (seen.get(entry.submitter) || 0);
+                seen.set(entry.submitter, (seen.get(entry.submitter) || 0) + 1);
+                return { entry, rank };
+            });
+
+            ranked
+                .filter(({ entry, rank }) => {
+                    if (rank < this.maxRunningPerSubmitter) return true;
+                    blocked.push(entry);
+                    return false;
+                })
+                .sort((a, b) => a.rank - b.rank || a.entry.sequence - b.entry.sequence)
+                .forEach(({ entry }) => {
+                    order.push(entry);
+                    runningBySubmitter.set(entry.submitter, (runningBySubmitter.get(entry.submitter) || 0) + 1);
+                });
+        });
+
+        const positions = new Map(order.map((entry, index) => [entry, index + 1]));
+        blocked.forEach(entry => positions.set(entry, order.length + 1));
+        return positions;
+    }
+
+    list() {
+        const positions = this.positions();
+        return this.waiting.map(entry => ({
+            id: entry.id,
+            submitter: entry.submitter,
+            priority: entry.priority,
+            queuedAt: entry.queuedAt,
+            position: positions.get(entry)
+        }));
+    }
+
+    getStats() {
+        return {
+            running: this.running.size,
+            queued: this.waiting.length,
+            maxConcurrent: this.maxConcurrent,
+            maxQueueDepth: this.maxQueueDepth
+        };
+    }
+
+    // Rejects everything still waiting, e.g. on shutdown
+    drain(error) {
+        this.waiting.splice(0).forEach(entry => {
+            entry.signal?.removeEventListener('abort', entry.onAbort);
+            entry.reject(error);
+        });
+    }
+}
+
+function priorityValue(priority) {
+    if (typeof priority === 'number') return priority;
+    if (typeof priority === 'string' && Object.hasOwn(PRIORITIES, priority.toLowerCase())) {
+        return PRIORITIES[priority.toLowerCase()];
+    }
+    return PRIORITIES.normal;
+}
+
+module.exports = { AdmissionQueue, QueueFullError };
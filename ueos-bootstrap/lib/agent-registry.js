@@ -0,0 +1,195 @@
+/**
+ * Agent Registry - Pluggable agent factories with contract validation
+ * Built-in and custom agents register a factory plus capabilities; custom
+ * agents can also be discovered from the project or ~/.ueos/agents.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { ueosHome } = require('./paths');
+
+// Methods every agent must implement for the orchestrator to drive it
+const AGENT_CONTRACT = ['execute', 'getMetrics', 'getStatus', 'restart', 'shutdown', 'receiveMessage'];
+
+// Lifecycle and status methods never reach a model
+const LIFECYCLE_METHODS = AGENT_CONTRACT.filter(method => method !== 'execute');
+
+class AgentContractError extends Error {
+    constructor(name, missing) {
+        super(`Agent "${name}" does not satisfy the agent contract; missing: ${missing.join(', ')}`);
+        this.name = 'AgentContractError';
+        this.agent = name;
+        this.missing = missing;
+    }
+}
+
+class AgentRegistry {
+    constructor() {
+        this.definitions = new Map();
+    }
+
+    register(name, factory, capabilities = {}) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Agent name must be a non-empty string');
+        }
+        if (typeof factory !== 'function') {
+            throw new Error(`Agent "${name}" needs a factory function or class`);
+        }
+
+        this.definitions.set(name, {
+            name,
+            factory,
+            capabilities: {
+                phases: [],
+                concurrencyRatio: null,
+                config: {},
+                ...capabilities
+            },
+            source: capabilities.source || 'registered'
+        });
+
+        return this;
+    }
+
+    unregister(name) {
+        return this.definitions.delete(name);
+    }
+
+    has(name) {
+        return this.definitions.has(name);
+    }
+
+    get(name) {
+        return this.definitions.get(name);
+    }
+
+    list() {
+        return Array.from(this.definitions.values()).map(({ name, capabilities, source }) => ({
+            name,
+            source,
+            phases: capabilities.phases,
+            capabilities
+        }));
+    }
+
+    async create(name, config = {}) {
+        const definition = this.definitions.get(name);
+        if (!definition) {
+            throw new Error(`Agent "${name}" is not registered`);
+        }
+
+        const { factory, capabilities } = definition;
+        const agentConfig = { ...config, ...capabilities.config };
+
+        if (capabilities.concurrencyRatio) {
+            agentConfig.maxConcurrent = Math.max(
+                1,
+                Math.floor((config.maxAgents || 1) * capabilities.concurrencyRatio)
+            );
+        }
+
+        const agent = isClass(factory)
+            ? new factory(agentConfig)
+            : await factory(agentConfig);
+
+        validateAgentContract(name, agent);
+        return agent;
+    }
+
+    async discover(directories = defaultAgentDirectories()) {
+        const discovered = [];
+
+        for (const directory of directories) {
+            let entries;
+            try {
+                entries = await fs.readdir(directory, { withFileTypes: true });
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+
+            for (const entry of entries) {
+                const isModule = entry.isFile() && entry.name.endsWith('.js');
+                if (!isModule && !entry.isDirectory()) continue;
+
+                const modulePath = path.join(directory, entry.name);
+                try {
+                    const names = this.loadAgentModule(modulePath);
+                    discovered.push(...names.map(name => ({ name, path: modulePath })));
+                } catch (error) {
+                    // Report broken modules but keep discovering the rest
+                    discovered.push({ path: modulePath, error });
+                }
+            }
+        }
+
+        return discovered;
+    }
+
+    loadAgentModule(modulePath) {
+        const exported = require(modulePath);
+        const registered = [];
+        const register = (name, factory, capabilities = {}) => {
+            this.register(name, factory, { source: modulePath, ...capabilities });
+            registered.push(name);
+        };
+
+        if (typeof exported.register === 'function') {
+            // Module registers one or more agents itself
+            exported.register({ register });
+        } else {
+            const factory = exported.factory || exported.Agent;
+            const name = exported.name || path.basename(modulePath, '.js');
+            register(name, factory, exported.capabilities);
+        }
+
+        return registered;
+    }
+}
+
+function validateAgentContract(name, agent) {
+    const missing = AGENT_CONTRACT.filter(method => typeof agent?.[method] !== 'function');
+
+    // The orchestrator listens for message/error/complete events
+    if (typeof agent?.on !== 'function') {
+        missing.push('on (EventEmitter)');
+    }
+
+    if (missing.length > 0) {
+        throw new AgentContractError(name, missing);
+    }
+
+    return true;
+}
+
+// Set on proxy wrappers around a model call so an outer proxy still sees one
+const MODEL_CALL = Symbol('ueos.modelCall');
+
+// execute() and async methods call a model; synchronous helpers such as
+// planImplementation() or consolidate() only reshape results. The circuit
+// breaker and the usage ledger count the former and pass the latter through
+function invokesModel(property, method) {
+    if (property === 'execute' || method?.[MODEL_CALL]) return true;
+    return !LIFECYCLE_METHODS.includes(property) && method?.constructor?.name === 'AsyncFunction';
+}
+
+function isClass(factory) {
+    return /^class[\s{]/.test(Function.prototype.toString.call(factory));
+}
+
+function defaultAgentDirectories() {
+    // Later directories win, so project agents override global ones
+    return [
+        path.join(ueosHome(), 'agents'),
+        path.join(process.cwd(), '.ueos-local', 'agents')
+    ];
+}
+
+module.exports = {
+    AgentRegistry,
+    AgentContractError,
+    AGENT_CONTRACT,
+    validateAgentContract,
+    invokesModel,
+    MODEL_CALL
+};
@@ -0,0 +1,73 @@
+/**
+ * Approval Gates - Human checkpoints that pause an execution
+ * Gates are written as "<when>:<phase>", e.g. "after:spec",
+ * "before:integration" or "on_failure:qa". Reaching an unapproved gate saves
+ * the execution as awaiting_approval until approve() or reject() is called.
+ */
+
+const GATE_TIMINGS = ['before', 'after', 'on_failure'];
+
+class ApprovalRequiredError extends Error {
+    constructor(gate) {
+        super(`Approval required at gate ${gate.id}`);
+        this.name = 'ApprovalRequiredError';
+        this.code = 'APPROVAL_REQUIRED';
+        this.gate = gate;
+    }
+}
+
+function normalizeGates(gates = []) {
+    const normalized = new Map();
+
+    gates.forEach(gate => {
+        const definition = typeof gate === 'string' ? parseGate(gate) : { ...gate };
+
+        if (!GATE_TIMINGS.includes(definition.when) || !definition.phase) {
+            throw new Error(`Invalid approval gate ${JSON.stringify(gate)}; expected <${GATE_TIMINGS.join('|')}>:<phase>`);
+        }
+
+        const id = `${definition.when}:${definition.phase}`;
+        normalized.set(id, {
+            id,
+            when: definition.when,
+            phase: definition.phase,
+            // QA failures already escalate from the phase itself
+            notify: definition.notify ?? definition.when !== 'on_failure'
+        });
+    });
+
+    return Array.from(normalized.values());
+}
+
+function parseGate(value) {
+    const [when, phase] = value.split(':');
+    return { when, phase };
+}
+
+function findGate(gates, when, phase) {
+    return (gates || []).find(gate => gate.when === when && gate.phase === phase) || null;
+}
+
+function isFailedResult(result) {
+    return !!result && (result.blocked === true || (result.failed || 0) > 0);
+}
+
+// Phases that receive the guidance given at a gate
+function guidanceTargets(gate, topology) {
+    if (gate.when === 'before') {
+        return [gate.phase];
+    }
+
+    return topology.flows
+        .filter(flow => flow.from === gate.phase && flow.to !== 'orchestrator')
+        .map(flow => flow.to);
+}
+
+module.exports = {
+    ApprovalRequiredError,
+    GATE_TIMINGS,
+    normalizeGates,
+    findGate,
+    isFailedResult,
+    guidanceTargets
+};
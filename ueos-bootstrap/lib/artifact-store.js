@@ -0,0 +1,397 @@
+/**
+ * Artifact Store - Versioned, content-addressed phase outputs
+ * Every saved output is serialized canonically and stored once under
+ * ~/.ueos/artifacts/objects by its sha256; a manifest per execution maps
+ * attempt -> artifact name -> hash, so a retry can be diffed against the
+ * attempt before it. gc() applies retention and sweeps unreferenced objects.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { ueosHome, isExecutionId } = require('./paths');
+
+// Line diffs beyond this size only report that the text changed
+const MAX_DIFF_LINES = 2000;
+
+// Unreferenced objects younger than this survive gc
+const OBJECT_GRACE_PERIOD = 60000;
+
+class ArtifactStore {
+    constructor(options = {}) {
+        this.directory = options.directory || path.join(ueosHome(), 'artifacts');
+        this.locks = new Map();
+    }
+
+    objectPath(hash) {
+        return path.join(this.directory, 'objects', hash.slice(0, 2), hash);
+    }
+
+    manifestPath(executionId) {
+        // Like hashes, ids can arrive from API callers and gc deletes this path
+        if (!isExecutionId(executionId)) {
+            throw new Error(`Invalid execution id "${executionId}"`);
+        }
+        return path.join(this.directory, 'executions', `${executionId}.json`);
+    }
+
+    async save(executionId, { name, phase = name, attempt = 1, content }) {
+        const body = canonicalJson(content);
+        const hash = crypto.createHash('sha256').update(body).digest('hex');
+        const file = this.objectPath(hash);
+
+        // Identical content is stored once, however many attempts produce it
+        if (!await exists(file)) {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await writeAtomic(file, body);
+        }
+
+        const entry = {
+            name,
+            phase,
+            attempt,
+            hash,
+            size: Buffer.byteLength(body),
+            savedAt: new Date().toISOString()
+        };
+
+        await this.updateManifest(executionId, manifest => {
+            const key = String(attempt);
+            manifest.attempts[key] = manifest.attempts[key] || {};
+            manifest.attempts[key][name] = entry;
+            manifest.updatedAt = entry.savedAt;
+        });
+
+        return entry;
+    }
+
+    async read(hash) {
+        // Hashes can arrive from API callers; never let one escape the store
+        if (!/^[0-9a-f]{64}$/.test(hash)) return undefined;
+
+        try {
+            return JSON.parse(await fs.readFile(this.objectPath(hash), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return undefined;
+            throw error;
+        }
+    }
+
+    async loadManifest(executionId) {
+        try {
+            return JSON.parse(await fs.readFile(this.manifestPath(executionId), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Read-modify-write of one manifest at a time; parallel phases of the
+    // same execution save concurrently
+    updateManifest(executionId, update) {
+        const previous = this.locks.get(executionId) || Promise.resolve();
+        const next = previous.then(async () => {
+            const manifest = await this.loadManifest(executionId) ||
+                { executionId, createdAt: new Date().toISOString(), attempts: {} };
+            update(manifest);
+
+            await fs.mkdir(path.dirname(this.manifestPath(executionId)), { recursive: true });
+            await writeAtomic(this.manifestPath(executionId), JSON.stringify(manifest, null, 2));
+        });
+
+        const settled = next.catch(() => {});
+        this.locks.set(executionId, settled);
+        settled.then(() => {
+            if (this.locks.get(executionId) === settled) this.locks.delete(executionId);
+        });
+
+        return next;
+    }
+
+    // Entries for an execution, optionally narrowed to one name or attempt
+    async list(executionId, { name, attempt } = {}) {
+        const manifest = await this.loadManifest(executionId);
+        if (!manifest) return [];
+
+        return Object.values(manifest.attempts)
+            .flatMap(artifacts => Object.values(artifacts))
+            .filter(entry => name === undefined || entry.name === name)
+            .filter(entry => attempt === undefined || entry.attempt === Number(attempt))
+            .sort((a, b) => a.attempt - b.attempt || a.savedAt.localeCompare(b.savedAt));
+    }
+
+    // The entry and content of an artifact; the latest attempt unless one is given
+    async lookup(executionId, name, { attempt } = {}) {
+        const entries = await this.list(executionId, { name, attempt });
+        const entry = entries[entries.length - 1];
+        if (!entry) return null;
+
+        return { ...entry, executionId, content: await this.read(entry.hash) };
+    }
+
+    async listExecutions() {
+        let files;
+        try {
+            files = await fs.readdir(path.join(this.directory, 'executions'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const ids = files
+            .filter(file => file.endsWith('.json'))
+            .map(file => path.basename(file, '.json'))
+            .filter(isExecutionId);
+        const manifests = await Promise.all(ids.map(id => this.loadManifest(id)));
+
+        // The file name, not the manifest's contents, names the execution
+        return manifests.map((manifest, index) => manifest && {
+            executionId: ids[index],
+            createdAt: manifest.createdAt,
+            updatedAt: manifest.updatedAt,
+            attempts: Object.keys(manifest.attempts).map(Number).sort((a, b) => a - b)
+        }).filter(Boolean);
+    }
+
+    // Compares two artifacts, each given as { executionId, name, attempt } or
+    // a bare hash. By default compares the last two attempts of `name`.
+    async diff(from, to) {
+        const [before, after] = await Promise.all([this.resolve(from), this.resolve(to)]);
+        if (before === null || after === null) {
+            throw notFound(`Artifact not found: ${JSON.stringify(before === null ? from : to)}`);
+        }
+
+        if (before.hash === after.hash) {
+            return { from: before.ref, to: after.ref, identical: true, changes: [] };
+        }
+
+        return {
+            from: before.ref,
+            to: after.ref,
+            identical: false,
+            changes: diffValues(before.content, after.content)
+        };
+    }
+
+    async diffAttempts(executionId, name, { from, to } = {}) {
+        const attempts = (await this.list(executionId, { name })).map(entry => entry.attempt);
+        if (attempts.length === 0) {
+            throw notFound(`Execution ${executionId} has no "${name}" artifact`);
+        }
+
+        const target = to ?? attempts[attempts.length - 1];
+        const base = from ?? attempts.filter(attempt => attempt < target).pop() ?? target;
+        return this.diff({ executionId, name, attempt: base }, { executionId, name, attempt: target });
+    }
+
+    async resolve(ref) {
+        if (typeof ref === 'string') {
+            const content = await this.read(ref);
+            return content === undefined ? null : { ref: { hash: ref }, hash: ref, content };
+        }
+
+        const found = await this.lookup(ref.executionId, ref.name, { attempt: ref.attempt });
+        if (!found) return null;
+        return {
+            ref: { executionId: ref.executionId, name: ref.name, attempt: found.attempt, hash: found.hash },
+            hash: found.hash,
+            content: found.content
+        };
+    }
+
+    // Retention: drop executions untouched for maxAge ms (but always keep the
+    // newest keepExecutions), keep only the last keepAttempts versions of each
+    // artifact in the rest, then delete objects no manifest refers to
+    async gc({ maxAge, keepExecutions = 0, keepAttempts, exclude = [], dryRun = false } = {}) {
+        const report = { removedExecutions: [], removedArtifacts: 0, removedObjects: 0, freedBytes: 0 };
+        const referenced = new Set();
+        const now = Date.now();
+
+        const executions = (await this.listExecutions())
+            .sort((a, b) => (b.updatedAt || b.createdAt).localeCompare(a.updatedAt || a.createdAt));
+
+        for (const [index, summary] of executions.entries()) {
+            const { executionId } = summary;
+            const age = now - Date.parse(summary.updatedAt || summary.createdAt);
+            const protectedExecution = index < keepExecutions || exclude.includes(executionId);
+
+            if (!protectedExecution && maxAge !== undefined && age > maxAge) {
+                report.removedExecutions.push(executionId);
+                if (!dryRun) await fs.rm(this.manifestPath(executionId), { force: true });
+                continue;
+            }
+
+            const manifest = await this.loadManifest(executionId);
+            if (!manifest) continue;
+
+            // Phases replayed on a retry only exist in an earlier attempt, so
+            // versions are counted per artifact name rather than per attempt
+            const entries = Object.values(manifest.attempts).flatMap(artifacts => Object.values(artifacts));
+            const dropped = [];
+            if (keepAttempts > 0 && !exclude.includes(executionId)) {
+                new Set(entries.map(entry => entry.name)).forEach(name => {
+                    const versions = entries.filter(entry => entry.name === name)
+                        .sort((a, b) => a.attempt - b.attempt);
+                    dropped.push(...versions.slice(0, Math.max(0, versions.length - keepAttempts)));
+                });
+            }
+
+            if (dropped.length > 0) {
+                report.removedArtifacts += dropped.length;
+                if (!dryRun) {
+                    await this.updateManifest(executionId, current => {
+                        dropped.forEach(({ name, attempt }) => {
+                            delete current.attempts[attempt][name];
+                            if (Object.keys(current.attempts[attempt]).length === 0) {
+                                delete current.attempts[attempt];
+                            }
+                        });
+                    });
+                }
+            }
+
+            entries.filter(entry => !dropped.includes(entry)).forEach(entry => referenced.add(entry.hash));
+        }
+
+        const objectsDirectory = path.join(this.directory, 'objects');
+        const prefixes = await fs.readdir(objectsDirectory).catch(() => []);
+        for (const prefix of prefixes) {
+            const hashes = await fs.readdir(path.join(objectsDirectory, prefix)).catch(() => []);
+            for (const hash of hashes.filter(candidate => !referenced.has(candidate))) {
+                const file = path.join(objectsDirectory, prefix, hash);
+                const { size, mtimeMs } = await fs.stat(file);
+
+                // A save in progress writes its object before its manifest entry
+                if (now - mtimeMs < OBJECT_GRACE_PERIOD) continue;
+
+                report.removedObjects++;
+                report.freedBytes += size;
+                if (!dryRun) await fs.rm(file, { force: true });
+            }
+        }
+
+        return report;
+    }
+}
+
+// Sorted keys so equal values always hash the same
+function canonicalJson(value) {
+    const seen = [];
+
+    const normalize = (item) => {
+        if (item instanceof Error) return { name: item.name, message: item.message };
+        if (item === undefined || typeof item === 'function') return undefined;
+        if (!item || typeof item !== 'object') return item;
+        if (typeof item.toJSON === 'function') return normalize(item.toJSON());
+        if (seen.includes(item)) {
+            throw new TypeError('Artifacts must not contain circular references');
+        }
+
+        seen.push(item);
+        const result = Array.isArray(item)
+            ? item.map(element => normalize(element) ?? null)
+            : Object.keys(item).sort().reduce((acc, key) => {
+                const normalized = normalize(item[key]);
+                if (normalized !== undefined) acc[key] = normalized;
+                return acc;
+            }, {});
+        seen.pop();
+        return result;
+    };
+
+    return JSON.stringify(normalize(value) ?? null);
+}
+
+// Flattens both values to path -> leaf and reports what differs; changed
+// multi-line strings (source files, docs) also get a line diff
+function diffValues(before, after) {
+    const left = flatten(before);
+    const right = flatten(after);
+    const changes = [];
+
+    new Set([...left.keys(), ...right.keys()]).forEach(key => {
+        if (!right.has(key)) {
+            changes.push({ path: key, type: 'removed', before: left.get(key) });
+        } else if (!left.has(key)) {
+            changes.push({ path: key, type: 'added', after: right.get(key) });
+        } else if (left.get(key) !== right.get(key)) {
+            const change = { path: key, type: 'changed', before: left.get(key), after: right.get(key) };
+            if (typeof change.before === 'string' && typeof change.after === 'string' &&
+                (change.before.includes('\n') || change.after.includes('\n'))) {
+                change.lines = diffLines(change.before, change.after);
+            }
+            changes.push(change);
+        }
+    });
+
+    return changes;
+}
+
+function flatten(value, prefix = '', into = new Map()) {
+    if (value && typeof value === 'object' && Object.keys(value).length > 0) {
+        Object.entries(value).forEach(([key, item]) => {
+            flatten(item, prefix ? `${prefix}.${key}` : key, into);
+        });
+    } else {
+        into.set(prefix || '$', value);
+    }
+    return into;
+}
+
+// Longest-common-subsequence diff; lines are prefixed '+', '-' or ' '
+function diffLines(before, after) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+    if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) return null;
+
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            lines.push(` ${a[i]}`);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            lines.push(`-${a[i++]}`);
+        } else {
+            lines.push(`+${b[j++]}`);
+        }
+    }
+    while (i < a.length) lines.push(`-${a[i++]}`);
+    while (j < b.length) lines.push(`+${b[j++]}`);
+
+    return lines;
+}
+
+function notFound(message) {
+    const error = new Error(message);
+    error.code = 'ARTIFACT_NOT_FOUND';
+    return error;
+}
+
+async function exists(file) {
+    try {
+        await fs.access(file);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+async function writeAtomic(file, data) {
+    const temporary = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(temporary, data);
+    await fs.rename(temporary, file);
+}
+
+module.exports = { ArtifactStore, canonicalJson, diffValues };
@@ -0,0 +1,145 @@
+/**
+ * Cancellation - AbortSignal helpers for executions and their phases
+ * Every execution owns an AbortController; phases get a child signal that
+ * also fires on the phase timeout, and agent calls are raced against it so a
+ * hung agent can never block the orchestrator.
+ */
+
+class ExecutionCancelledError extends Error {
+    constructor(message = 'Execution cancelled', details = {}) {
+        super(message);
+        this.name = 'ExecutionCancelledError';
+        this.code = 'EXECUTION_CANCELLED';
+        Object.assign(this, details);
+    }
+}
+
+class ExecutionTimeoutError extends Error {
+    constructor(timeout, phase = null) {
+        super(phase
+            ? `Phase "${phase}" timed out after ${timeout}ms`
+            : `Execution timed out after ${timeout}ms`);
+        this.name = 'ExecutionTimeoutError';
+        this.code = 'EXECUTION_TIMEOUT';
+        this.timeout = timeout;
+        this.phase = phase;
+    }
+}
+
+function isAbortError(error) {
+    return error instanceof ExecutionCancelledError || error instanceof ExecutionTimeoutError;
+}
+
+function abortReason(signal) {
+    const reason = signal?.reason;
+
+    if (isAbortError(reason)) {
+        return reason;
+    }
+
+    // Fail-fast aborts carry the phase error that caused them
+    if (reason instanceof Error && reason.name !== 'AbortError' && reason.name !== 'TimeoutError') {
+        return reason;
+    }
+
+    // Foreign signals abort with a DOMException or an arbitrary value
+    return new ExecutionCancelledError(reason?.message || 'Execution aborted', { cause: reason });
+}
+
+function throwIfAborted(signal) {
+    if (signal?.aborted) {
+        throw abortReason(signal);
+    }
+}
+
+function linkSignal(controller, signal) {
+    if (!signal) return () => {};
+
+    if (signal.aborted) {
+        controller.abort(abortReason(signal));
+        return () => {};
+    }
+
+    const onAbort = () => controller.abort(abortReason(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    return () => signal.removeEventListener('abort', onAbort);
+}
+
+function createScope(parentSignal, timeout, phase = null) {
+    const controller = new AbortController();
+    const unlink = linkSignal(controller, parentSignal);
+    let timer = null;
+
+    if (timeout > 0 && !controller.signal.aborted) {
+        timer = setTimeout(() => {
+            controller.abort(new ExecutionTimeoutError(timeout, phase));
+        }, timeout);
+    }
+
+    return {
+        controller,
+        signal: controller.signal,
+        dispose() {
+            clearTimeout(timer);
+            unlink();
+        }
+    };
+}
+
+function raceSignal(promise, signal) {
+    if (!signal) return Promise.resolve(promise);
+    if (signal.aborted) {
+        // Avoid an unhandled rejection from the abandoned promise
+        Promise.resolve(promise).catch(() => {});
+        return Promise.reject(abortReason(signal));
+    }
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(abortReason(signal));
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        Promise.resolve(promise).then(
+            value => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(value);
+            },
+            error => {
+                signal.removeEventListener('abort', onAbort);
+                reject(error);
+            }
+        );
+    });
+}
+
+function abortableDelay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(abortReason(signal));
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortReason(signal));
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+module.exports = {
+    ExecutionCancelledError,
+    ExecutionTimeoutError,
+    isAbortError,
+    abortReason,
+    throwIfAborted,
+    linkSignal,
+    createScope,
+    raceSignal,
+    abortableDelay
+};
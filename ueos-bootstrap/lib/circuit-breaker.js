@@ -0,0 +1,167 @@
+/**
+ * Circuit Breaker - Stops calling an agent that keeps failing
+ * After failureThreshold consecutive failures the circuit opens and calls are
+ * refused until resetTimeout passes; one trial call (half-open) then decides
+ * whether it closes again.
+ */
+
+const EventEmitter = require('events');
+const { NEEDS_HUMAN } = require('./retry-policy');
+const { isAbortError } = require('./cancellation');
+const { invokesModel, MODEL_CALL } = require('./agent-registry');
+
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half_open';
+
+class CircuitOpenError extends Error {
+    constructor(name, retryAt) {
+        super(`Circuit for agent "${name}" is open after repeated failures`);
+        this.name = 'CircuitOpenError';
+        this.code = 'CIRCUIT_OPEN';
+        // Retrying an agent that keeps failing only burns time
+        this.classification = NEEDS_HUMAN;
+        this.agent = name;
+        this.retryAt = retryAt;
+    }
+}
+
+class CircuitBreaker extends EventEmitter {
+    constructor(name, options = {}) {
+        super();
+
+        this.name = name;
+        this.failureThreshold = options.failureThreshold || 5;
+        this.resetTimeout = options.resetTimeout || 60000;
+        this.state = CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+        this.lastError = null;
+        this.trialInFlight = false;
+    }
+
+    // Throws CircuitOpenError instead of letting a call through
+    acquire() {
+        if (this.state === OPEN) {
+            if (Date.now() - this.openedAt < this.resetTimeout) {
+                throw new CircuitOpenError(this.name, this.openedAt + this.resetTimeout);
+            }
+            this.transition(HALF_OPEN);
+        }
+
+        if (this.state === HALF_OPEN) {
+            if (this.trialInFlight) {
+                throw new CircuitOpenError(this.name, Date.now() + this.resetTimeout);
+            }
+            this.trialInFlight = true;
+        }
+    }
+
+    recordSuccess() {
+        this.trialInFlight = false;
+        this.failures = 0;
+        this.lastError = null;
+        if (this.state !== CLOSED) {
+            this.transition(CLOSED);
+        }
+    }
+
+    recordFailure(error) {
+        this.trialInFlight = false;
+
+        // Cancellations and timeouts say nothing about the agent's health
+        if (isAbortError(error)) return;
+
+        this.failures++;
+        this.lastError = error;
+
+        // Calls that started before the circuit opened may still fail late
+        if (this.state === OPEN) return;
+
+        if (this.state === HALF_OPEN || this.failures >= this.failureThreshold) {
+            this.openedAt = Date.now();
+            this.transition(OPEN);
+        }
+    }
+
+    transition(state) {
+        const previous = this.state;
+        this.state = state;
+        this.emit('state', { agent: this.name, from: previous, to: state, failures: this.failures, error: this.lastError });
+    }
+
+    reset() {
+        this.failures = 0;
+        this.openedAt = null;
+        this.lastError = null;
+        this.trialInFlight = false;
+        if (this.state !== CLOSED) {
+            this.transition(CLOSED);
+        }
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt,
+            lastError: this.lastError?.message
+        };
+    }
+
+    // Wraps an agent so model calls made during executions pass through the breaker
+    protect(agent, isActive = () => true) {
+        const breaker = this;
+
+        return new Proxy(agent, {
+            get(target, property, receiver) {
+                const value = Reflect.get(target, property, receiver);
+
+                if (typeof value !== 'function' || property in EventEmitter.prototype ||
+                    typeof property === 'symbol' || !invokesModel(property, value)) {
+                    return value;
+                }
+
+                return Object.assign(function guardedAgentCall(...args) {
+                    if (!isActive()) {
+                        return value.apply(target, args);
+                    }
+
+                    breaker.acquire();
+
+                    let result;
+                    try {
+                        result = value.apply(target, args);
+                    } catch (error) {
+                        breaker.recordFailure(error);
+                        throw error;
+                    }
+
+                    if (result && typeof result.then === 'function') {
+                        return result.then(
+                            resolved => {
+                                breaker.recordSuccess();
+                                return resolved;
+                            },
+                            error => {
+                                breaker.recordFailure(error);
+                                throw error;
+                            }
+                        );
+                    }
+
+                    breaker.recordSuccess();
+                    return result;
+                }, { [MODEL_CALL]: true });
+            }
+        });
+    }
+}
+
+module.exports = {
+    CircuitBreaker,
+    CircuitOpenError,
+    CLOSED,
+    OPEN,
+    HALF_OPEN
+};
@@ -0,0 +1,523 @@
+/**
+ * UEOS CLI
+ * `ueos run`, `status`, `logs`, `cancel` and `metrics` on top of the swarm
+ * orchestrator. Commands talk to a running control API when one is
+ * listening and otherwise work from the journal and metrics on disk.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { Command, InvalidArgumentError } = require('commander');
+const { loadConfig, readConfigFile } = require('./config');
+const { ControlClient } = require('./control-client');
+const { ExecutionJournal, processAlive } = require('./execution-journal');
+const { MetricsStore } = require('./metrics-store');
+
+// Statuses an execution stays in until someone acts; logs --follow stops at
+// them, like the settling events below
+const TERMINAL_STATUSES = [
+    'completed', 'failed', 'cancelled', 'timed_out', 'rejected',
+    'blocked', 'awaiting_approval', 'interrupted'
+];
+const SETTLING_EVENTS = [
+    'execution:complete', 'execution:failed', 'execution:cancelled', 'execution:timeout',
+    'execution:blocked', 'execution:awaiting_approval', 'execution:rejected'
+];
+
+class CLI {
+    constructor(options = {}) {
+        this.program = new Command();
+        this.stdout = options.stdout || process.stdout;
+        this.stderr = options.stderr || process.stderr;
+        this.cwd = options.cwd || process.cwd();
+
+        this.setupCommands();
+    }
+
+    setupCommands() {
+        this.program
+            .name('ueos')
+            .description('Universal Environment Optimization System')
+            .version(packageVersion())
+            .option('--json', 'Print machine-readable JSON instead of progress output');
+
+        // Commands from the installer's CLI; their modules ship with the install
+        this.program
+            .command('init')
+            .description('Initialize UEOS in current directory')
+            .option('-f, --force', 'Force initialization')
+            .action(async (options) => {
+                const { Core } = require('./core');
+                await new Core().init(this.cwd, options);
+            });
+
+        this.program
+            .command('develop <task>')
+            .description('Start spec-driven development')
+            .option('-a, --agents <number>', 'Number of agents', '7')
+            .option('-p, --performance', 'Enable performance mode')
+            .action(async (task, options) => {
+                const { Workflow } = require('./workflow');
+                await new Workflow().develop(task, options);
+            });
+
+        this.program
+            .command('watch')
+            .description('Watch workflow in real-time')
+            .action(async () => {
+                const { Monitor } = require('./monitor');
+                await new Monitor().watch();
+            });
+
+        this.program
+            .command('run <task-file>')
+            .description('Run the task described in a JSON or YAML file')
+            .option('--dry-run', 'Show the execution plan without running anything')
+            .option('--timeout <ms>', 'Overall execution timeout in milliseconds', toInteger)
+            .option('--gate <gate...>', 'Approval gates, e.g. after:spec')
+            .option('--priority <level>', 'Queue priority: critical, high, normal or low')
+            .option('--submitter <name>', 'Name the admission queue shares capacity by', process.env.USER)
+            .option('--local', 'Run in this process even if a control API is listening')
+            .action((file, options) => this.run(file, options));
+
+        this.program
+            .command('status [id]')
+            .description('List executions, or show one execution')
+            .action((id) => this.status(id));
+
+        this.program
+            .command('logs <id>')
+            .description('Show the journal of an execution')
+            .option('-f, --follow', 'Keep printing new entries until the execution finishes')
+            .action((id, options) => this.logs(id, options));
+
+        this.program
+            .command('cancel <id>')
+            .description('Cancel an execution running in the control API process')
+            .option('-r, --reason <reason>', 'Reason recorded with the cancellation')
+            .action((id, options) => this.cancel(id, options));
+
+        this.program
+            .command('metrics')
+            .description('Show execution, phase and agent metrics')
+            .option('--agent <name>', 'Only show metrics for one agent')
+            .option('--days <n>', 'Include daily rollups for the last n days', toInteger)
+            .action((options) => this.metrics(options));
+    }
+
+    get json() {
+        return !!this.program.opts().json;
+    }
+
+    async execute(argv) {
+        await this.program.parseAsync(argv, { from: 'user' });
+    }
+
+    async run(file, options) {
+        const task = await readConfigFile(path.resolve(this.cwd, file));
+        if (!task) {
+            throw new Error(`Task file not found: ${file}`);
+        }
+
+        const executionOptions = {
+            dryRun: options.dryRun,
+            timeout: options.timeout,
+            approvalGates: options.gate,
+            priority: options.priority,
+            submitter: options.submitter
+        };
+        const client = options.local ? null : await ControlClient.discover();
+
+        const result = client
+            ? await this.runRemote(client, task, executionOptions)
+            : await this.runLocal(task, executionOptions);
+
+        if (this.json) {
+            this.print(result);
+        } else if (result.dryRun) {
+            this.write(result.report);
+        } else {
+            this.write(describeOutcome(result));
+        }
+
+        process.exitCode = exitCodeFor(result);
+    }
+
+    async runLocal(task, options) {
+        const { config, sources } = await this.loadOrchestratorConfig();
+        const { SwarmOrchestrator } = require('./swarm-orchestrator');
+        const orchestrator = new SwarmOrchestrator(config);
+
+        if (!this.json) {
+            sources.forEach(source => this.log(`Config: ${source}`));
+            this.renderEvents((type, listener) => orchestrator.on(type, listener));
+        }
+
+        // Ctrl-C cancels the execution and still lets it journal its state
+        const onInterrupt = () => {
+            orchestrator.activeExecutions.forEach((_, executionId) =>
+                orchestrator.cancelExecution(executionId, 'Interrupted from the CLI'));
+        };
+        process.once('SIGINT', onInterrupt);
+
+        try {
+            return await orchestrator.executeTask(task, options);
+        } catch (error) {
+            return { status: statusOf(error), error: { name: error.name, message: error.message } };
+        } finally {
+            process.off('SIGINT', onInterrupt);
+            await orchestrator.shutdown();
+        }
+    }
+
+    async runRemote(client, task, options) {
+        if (options.dryRun) {
+            return await client.request('POST', '/executions', { task, options });
+        }
+
+        // Subscribe first so no early event is missed
+        let executionId = null;
+        const buffered = [];
+        let settle;
+        let abort;
+        const settled = new Promise((resolve, reject) => {
+            settle = resolve;
+            abort = reject;
+        });
+        // Awaited below; a drop before then must not count as unhandled
+        settled.catch(() => {});
+
+        const handle = (event) => {
+            if (!executionId) {
+                buffered.push(event);
+                return;
+            }
+            if (event.data?.executionId && event.data.executionId !== executionId) return;
+
+            if (!this.json) this.renderEvent(event.type, event.data);
+            if (SETTLING_EVENTS.includes(event.type) && event.data?.executionId === executionId) {
+                settle();
+            }
+        };
+        const close = await client.events({}, handle, error => {
+            abort(new Error(`Lost the control API event stream (${error.message}); ` +
+                `check the execution with \`ueos status${executionId ? ` ${executionId}` : ''}\``));
+        });
+
+        try {
+            ({ executionId } = await client.request('POST', '/executions', { task, options }));
+            this.log(`Submitted ${executionId} to the control API`);
+            buffered.splice(0).forEach(handle);
+
+            await settled;
+            return await client.request('GET', `/executions/${encodeURIComponent(executionId)}`);
+        } finally {
+            close();
+        }
+    }
+
+    async status(id) {
+        const client = await ControlClient.discover();
+
+        if (id) {
+            const execution = client
+                ? await client.request('GET', `/executions/${encodeURIComponent(id)}`)
+                : await this.loadJournaled(id);
+
+            if (this.json) return this.print(execution);
+            return this.write(describeExecution(execution));
+        }
+
+        const executions = client
+            ? await client.request('GET', '/executions')
+            : (await new ExecutionJournal().list())
+                .map(({ id: executionId, ...execution }) => ({
+                    id: executionId,
+                    ...execution,
+                    completedPhases: Object.keys(execution.phases)
+                }));
+
+        executions.sort((a, b) => (b.startTime || 0) - (a.startTime || 0));
+
+        if (this.json) return this.print(executions);
+        if (executions.length === 0) return this.write('No executions found');
+
+        executions.forEach(execution => this.write([
+            execution.id,
+            execution.status.padEnd(17),
+            taskName(execution.task).padEnd(30),
+            (execution.completedPhases || []).join(',')
+        ].join('  ')));
+    }
+
+    async logs(id, options) {
+        const journal = new ExecutionJournal();
+        const file = journal.filePath(id);
+        let offset = 0;
+        let status = null;
+        let owner = null;
+
+        const printNew = async () => {
+            const content = await fs.readFile(file, 'utf8');
+            // Only complete lines; a partial write is picked up next round
+            const end = content.lastIndexOf('\n') + 1;
+            const records = ExecutionJournal.parse(content.slice(offset, end));
+            offset = end;
+
+            records.forEach(record => {
+                if (record.type === 'status') status = record.status;
+                if (record.pid) owner = record.pid;
+                if (this.json) {
+                    this.print(record, false);
+                } else {
+                    this.write(formatRecord(record));
+                }
+            });
+        };
+
+        try {
+            await printNew();
+        } catch (error) {
+            if (error.code === 'ENOENT') throw new Error(`No journal found for execution ${id}`);
+            throw error;
+        }
+
+        if (!options.follow) return;
+
+        let stopped = false;
+        process.once('SIGINT', () => { stopped = true; });
+
+        while (!stopped && !TERMINAL_STATUSES.includes(status)) {
+            await new Promise(resolve => setTimeout(resolve, 500));
+
+            // Checked before reading so a final record written just before
+            // exiting is still printed; a crashed run never journals one
+            const alive = !owner || processAlive(owner);
+            await printNew();
+
+            if (!alive && !TERMINAL_STATUSES.includes(status)) {
+                this.log(`Execution ${id} is no longer running (process ${owner} exited)`);
+                return;
+            }
+        }
+    }
+
+    async cancel(id, options) {
+        const client = await ControlClient.discover();
+        if (!client) {
+            throw new Error('No control API is running; only executions in a long-running orchestrator can be cancelled');
+        }
+
+        const response = await client.request('POST', `/executions/${encodeURIComponent(id)}/cancel`, {
+            reason: options.reason
+        });
+
+        if (this.json) return this.print(response);
+        this.write(`Cancelling ${id}`);
+    }
+
+    async metrics(options) {
+        const { config } = await this.loadOrchestratorConfig();
+        const store = await new MetricsStore({ directory: config.metricsDir }).load();
+        const snapshot = store.snapshot();
+        const rollups = options.days ? await store.getRollups(options.days) : undefined;
+
+        const keep = (series) => !options.agent || series.labels.agent === options.agent;
+        const filter = (collection) => Object.fromEntries(
+            Object.entries(collection).map(([name, series]) => [
+                name,
+                Object.values(series).filter(keep)
+            ]).filter(([, series]) => series.length > 0)
+        );
+
+        const counters = filter(snapshot.counters);
+        const gauges = filter(snapshot.gauges);
+        const histograms = filter(snapshot.histograms);
+
+        if (this.json) {
+            return this.print({ updatedAt: snapshot.updatedAt, counters, gauges, histograms, rollups });
+        }
+
+        this.write(`Metrics (updated ${snapshot.updatedAt || 'never'})`);
+        [...Object.entries(counters), ...Object.entries(gauges)].forEach(([name, series]) => {
+            series.forEach(({ labels, value }) => this.write(`  ${name}${formatLabels(labels)} ${value}`));
+        });
+        Object.entries(histograms).forEach(([name, series]) => {
+            series.forEach(({ labels, count, sum }) => {
+                const average = count > 0 ? (sum / count).toFixed(2) : '0';
+                this.write(`  ${name}${formatLabels(labels)} count=${count} avg=${average}s`);
+            });
+        });
+
+        (rollups || []).forEach(rollup => {
+            const executions = Object.values(rollup.counters.ueos_executions_total || {})
+                .reduce((total, series) => total + series.value, 0);
+            this.write(`  ${rollup.day}: ${executions} executions`);
+        });
+    }
+
+    async loadOrchestratorConfig() {
+        const { orchestrator, sources } = await loadConfig({ cwd: this.cwd });
+        return { config: orchestrator, sources };
+    }
+
+    async loadJournaled(id) {
+        const execution = await new ExecutionJournal().load(id);
+        if (!execution) {
+            throw new Error(`No journal found for execution ${id}`);
+        }
+        return { ...execution, completedPhases: Object.keys(execution.phases) };
+    }
+
+    renderEvents(subscribe) {
+        [
+            'execution:queued', 'execution:start', 'execution:resume', 'execution:retry', 'phase:start', 'phase:complete',
+            'phase:skipped', 'phase:partial', 'flow:blocked', 'escalation', 'agent:error', 'circuit:open',
+            'workspace:commit', 'workspace:error', 'qa:fix_attempt', 'qa:flaky', 'budget:warning', 'budget:exceeded',
+            ...SETTLING_EVENTS
+        ].forEach(type => subscribe(type, (data) => this.renderEvent(type, data)));
+    }
+
+    renderEvent(type, data = {}) {
+        const line = formatEvent(type, data);
+        if (line) this.log(line);
+    }
+
+    // Progress goes to stderr so stdout stays clean for results
+    log(message) {
+        if (!this.json) {
+            this.stderr.write(`[${new Date().toLocaleTimeString()}] ${message}\n`);
+        }
+    }
+
+    write(message) {
+        this.stdout.write(`${message}\n`);
+    }
+
+    print(value, pretty = true) {
+        this.stdout.write(`${JSON.stringify(value, null, pretty ? 2 : 0)}\n`);
+    }
+}
+
+function formatEvent(type, data) {
+    switch (type) {
+        case 'execution:queued': return `… ${data.executionId} queued at position ${data.position}`;
+        case 'execution:start': return `▶ ${data.executionId} started: ${taskName(data.task)}`;
+        case 'execution:resume': return `▶ ${data.executionId} resumed after ${data.completedPhases.join(', ') || 'nothing'}`;
+        case 'execution:retry': return `↻ retrying ${data.phase || 'execution'} (attempt ${data.attempt}, ${data.classification})`;
+        case 'phase:start': return `  … ${data.phase}`;
+        case 'phase:complete': return `  ✔ ${data.phase}`;
+        case 'phase:skipped': return `  ↷ ${data.phase} skipped (${data.reason || 'condition not met'})`;
+        case 'phase:partial': return `  ⚠ ${data.phase}: ${data.failed.length} task(s) failed, continuing with ${data.succeeded}`;
+        case 'flow:blocked': return `  ■ flow blocked at ${data.phase}`;
+        case 'escalation': return `  ⚑ escalated: ${data.reason}`;
+        case 'agent:error': return `  ⚠ agent ${data.agent} error: ${data.error?.message}`;
+        case 'circuit:open': return `  ⚡ circuit opened for agent ${data.agent}`;
+        case 'qa:fix_attempt': return `  ↻ QA fix ${data.attempt}: ${data.before} → ${data.after} failing`;
+        case 'qa:flaky': return `  ⚠ flaky tests: ${data.tests.join(', ')}`;
+        case 'budget:warning': return `  ⚠ ${data.scope} ${data.metric} budget at ${data.used} of ${data.limit}`;
+        case 'budget:exceeded': return `  ⚑ ${data.scope} ${data.metric} budget exhausted (${data.used} of ${data.limit})`;
+        case 'workspace:commit': return `  ⎇ ${data.phase}: committed ${data.sha.slice(0, 8)} on ${data.branch}`;
+        case 'workspace:error': return `  ⚠ ${data.phase}: workspace commit failed: ${data.error?.message}`;
+        case 'execution:complete': return `✔ ${data.executionId} completed in ${formatDuration(data.metrics?.executionTime)}`;
+        case 'execution:failed': return `✖ ${data.executionId} failed: ${data.error?.message}`;
+        case 'execution:cancelled': return `✖ ${data.executionId} cancelled: ${data.reason}`;
+        case 'execution:timeout': return `✖ ${data.executionId} timed out${data.phase ? ` in ${data.phase}` : ''}`;
+        case 'execution:blocked': return `■ ${data.executionId} blocked at ${data.phase}`;
+        case 'execution:awaiting_approval': return `⏸ ${data.executionId} awaiting approval at ${data.gate?.id}`;
+        case 'execution:rejected': return `✖ ${data.executionId} rejected at ${data.gate?.id}`;
+        default: return null;
+    }
+}
+
+function formatRecord(record) {
+    const time = new Date(record.timestamp).toISOString();
+
+    switch (record.type) {
+        case 'start': return `${time}  start     ${taskName(record.task)}`;
+        case 'phase': return `${time}  phase     ${record.phase} finished`;
+        case 'status': {
+            const detail = record.error?.message || record.gate?.id || record.blocked?.phase || '';
+            return `${time}  status    ${record.status}${detail ? ` (${detail})` : ''}`;
+        }
+        case 'retry': return `${time}  retry     ${record.phase || 'execution'} attempt ${record.attempt} (${record.classification})`;
+        case 'approval': return `${time}  approval  ${record.gate} ${record.decision}${record.guidance ? `: ${record.guidance}` : ''}`;
+        default: return `${time}  ${record.type}`;
+    }
+}
+
+function describeExecution(execution) {
+    const lines = [
+        `Execution ${execution.id}`,
+        `  Status:  ${execution.status}`,
+        `  Task:    ${taskName(execution.task)}`,
+        `  Started: ${execution.startTime ? new Date(execution.startTime).toISOString() : '-'}`,
+        `  Phases:  ${(execution.completedPhases || []).join(', ') || '-'}`
+    ];
+
+    if (execution.status === 'queued') lines.push(`  Queue:   position ${execution.position} (${execution.priority}, ${execution.submitter})`);
+    if (execution.retries) lines.push(`  Retries: ${execution.retries}`);
+    if (execution.usage?.calls) lines.push(`  Usage:   ${execution.usage.calls} calls, ${execution.usage.tokens} tokens, $${execution.usage.cost.toFixed(2)}`);
+    if (execution.gate) lines.push(`  Gate:    ${execution.gate.id}`);
+    if (execution.blocked) lines.push(`  Blocked: ${execution.blocked.phase} - ${execution.blocked.reason || execution.blocked.condition || ''}`);
+    if (execution.error) lines.push(`  Error:   ${execution.error.message}`);
+
+    return lines.join('\n');
+}
+
+function describeOutcome(result) {
+    // Local runs return executionId, the control API returns id
+    const label = ['Execution', result.executionId || result.id].filter(Boolean).join(' ');
+
+    if (result.error) return `${label} ${result.status}: ${result.error.message}`;
+    if (result.status === 'awaiting_approval') {
+        return `${label} is waiting for approval at ${result.gate.id}`;
+    }
+    return `${label} ${result.status}`;
+}
+
+function exitCodeFor(result) {
+    if (result.dryRun || result.status === 'completed') return 0;
+    if (result.status === 'blocked' || result.status === 'awaiting_approval') return 2;
+    return 1;
+}
+
+function statusOf(error) {
+    if (error.code === 'EXECUTION_CANCELLED') return 'cancelled';
+    if (error.code === 'EXECUTION_TIMEOUT') return 'timed_out';
+    return 'failed';
+}
+
+function taskName(task) {
+    if (!task) return '-';
+    if (typeof task === 'string') return task;
+    return task.name || task.title || task.id || JSON.stringify(task);
+}
+
+function formatDuration(ms) {
+    if (!ms && ms !== 0) return '-';
+    return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels || {});
+    return entries.length ? `{${entries.map(([key, value]) => `${key}="${value}"`).join(',')}}` : '';
+}
+
+function toInteger(value) {
+    const number = parseInt(value, 10);
+    if (Number.isNaN(number)) {
+        throw new InvalidArgumentError(`Expected a number, got "${value}"`);
+    }
+    return number;
+}
+
+function packageVersion() {
+    try {
+        return require('../package.json').version;
+    } catch (error) {
+        return '1.0.0';
+    }
+}
+
+module.exports = { CLI, formatEvent, formatRecord };
@@ -0,0 +1,415 @@
+/**
+ * Compliance Policy - Rule packs checked against spec and code artifacts
+ * Packs come from the built-ins below, ~/.ueos/templates/compliance and the
+ * project's .ueos-local/compliance (a file named like a built-in replaces it):
+ *   { name, description, rules: [{ id, severity, target, description, ... }] }
+ * A rule either forbids a pattern (every matching line is a finding) or
+ * requires one, optionally only when a trigger pattern appears:
+ *   { forbid: '<regex>' } | { require: '<regex>', when: '<regex>' }
+ * Patterns are case-insensitive unless the rule sets "flags".
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { ueosHome } = require('./paths');
+const { extractFiles } = require('./git-workspace');
+
+const SEVERITIES = { low: 1, medium: 2, high: 3 };
+const TARGETS = ['spec', 'code'];
+const PACK_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Shared by every pack; findings are reported once however many packs apply
+const SECRET_RULES = [
+    {
+        id: 'secrets/private-key',
+        severity: 'high',
+        target: 'code',
+        description: 'Private key committed in code',
+        forbid: '-----BEGIN (RSA |EC |DSA |OPENSSH )?PRIVATE KEY-----',
+        redact: true
+    },
+    {
+        id: 'secrets/aws-access-key',
+        severity: 'high',
+        target: 'code',
+        description: 'AWS access key id in code',
+        forbid: '\\b(AKIA|ASIA)[0-9A-Z]{16}\\b',
+        flags: '',
+        redact: true
+    },
+    {
+        id: 'secrets/hardcoded-credential',
+        severity: 'high',
+        target: 'code',
+        description: 'Hard-coded password, secret, token or API key',
+        forbid: '(password|passwd|secret|api[_-]?key|access[_-]?token|auth[_-]?token)["\']?\\s*[:=]\\s*["\'][^"\'\\s]{8,}["\']',
+        redact: true
+    }
+];
+
+const BUILTIN_POLICY_PACKS = {
+    hipaa: {
+        name: 'hipaa',
+        description: 'HIPAA Security Rule safeguards for protected health information',
+        rules: [
+            ...SECRET_RULES,
+            {
+                id: 'hipaa/phi-encryption',
+                severity: 'high',
+                description: 'PHI fields without an encryption requirement',
+                when: '\\b(ssn|social[_ ]security|medical[_ ]record|mrn|diagnos[ie]s|patient|date[_ ]of[_ ]birth|dob|health[_ ]record)\\b',
+                require: '\\bencrypt(ed|ion)?\\b'
+            },
+            {
+                id: 'hipaa/audit-logging',
+                severity: 'high',
+                description: 'No audit logging of PHI access',
+                when: '\\b(ssn|medical[_ ]record|mrn|diagnos[ie]s|patient|health[_ ]record)\\b',
+                require: '\\baudit(ing|[_ ]log(s|ging)?|[_ ]trail)?\\b'
+            },
+            {
+                id: 'hipaa/access-control',
+                severity: 'medium',
+                description: 'No role-based access control for PHI',
+                when: '\\b(patient|medical[_ ]record|health[_ ]record)\\b',
+                require: '\\b(rbac|role[_ -]based|access[_ ]control|least[_ ]privilege|minimum[_ ]necessary)\\b'
+            },
+            {
+                id: 'hipaa/phi-in-logs',
+                severity: 'high',
+                target: 'code',
+                description: 'PHI written to logs',
+                forbid: '(console\\.(log|info|warn|error|debug)|logger\\.\\w+)\\(.*\\b(ssn|diagnosis|medicalRecord|medical_record|dateOfBirth|patient\\.\\w+)'
+            }
+        ]
+    },
+    gdpr: {
+        name: 'gdpr',
+        description: 'GDPR obligations for personal data',
+        rules: [
+            ...SECRET_RULES,
+            {
+                id: 'gdpr/pii-encryption',
+                severity: 'high',
+                description: 'Personal data fields without an encryption requirement',
+                when: '\\b(email|phone([_ ]number)?|home[_ ]address|ip[_ ]address|date[_ ]of[_ ]birth|national[_ ]id|passport)\\b',
+                require: '\\b(encrypt(ed|ion)?|pseudonymi[sz](ed|ation))\\b'
+            },
+            {
+                id: 'gdpr/consent',
+                severity: 'medium',
+                description: 'Personal data collected without a consent or lawful-basis requirement',
+                when: '\\b(email|phone([_ ]number)?|home[_ ]address|tracking|cookies?)\\b',
+                require: '\\b(consent|lawful[_ ]basis|legitimate[_ ]interest)\\b'
+            },
+            {
+                id: 'gdpr/erasure',
+                severity: 'medium',
+                description: 'No data retention or right-to-erasure requirement',
+                when: '\\b(email|phone([_ ]number)?|home[_ ]address|user[_ ]profile|personal[_ ]data)\\b',
+                require: '\\b(retention|erasure|right to be forgotten|data deletion|delete (the |their )?(account|data))\\b'
+            }
+        ]
+    },
+    pci: {
+        name: 'pci',
+        description: 'PCI DSS requirements for cardholder data',
+        rules: [
+            ...SECRET_RULES,
+            {
+                id: 'pci/cardholder-protection',
+                severity: 'high',
+                description: 'Cardholder data without tokenization or encryption',
+                when: '\\b(card[_ ]?number|pan|cardholder|credit[_ ]card)\\b',
+                require: '\\b(tokeni[sz](ed|ation)|encrypt(ed|ion)?)\\b'
+            },
+            {
+                id: 'pci/cvv-storage',
+                severity: 'high',
+                target: 'code',
+                description: 'Card security code stored or persisted',
+                forbid: '\\b(cvv2?|cvc2?|card[_ ]?security[_ ]?code)\\b\\s*[:=]'
+            },
+            {
+                id: 'pci/audit-logging',
+                severity: 'medium',
+                description: 'No audit logging of cardholder data access',
+                when: '\\b(card[_ ]?number|cardholder|credit[_ ]card)\\b',
+                require: '\\baudit(ing|[_ ]log(s|ging)?|[_ ]trail)?\\b'
+            }
+        ]
+    },
+    sox: {
+        name: 'sox',
+        description: 'Sarbanes-Oxley controls over financial reporting systems',
+        rules: [
+            ...SECRET_RULES,
+            {
+                id: 'sox/audit-trail',
+                severity: 'high',
+                description: 'No audit trail for financial records',
+                require: '\\baudit(ing|[_ ]log(s|ging)?|[_ ]trail)?\\b'
+            },
+            {
+                id: 'sox/segregation-of-duties',
+                severity: 'medium',
+                description: 'No segregation of duties or approval control for changes',
+                require: '\\b(segregation of duties|separation of duties|four[- ]eyes|approval (workflow|step)|maker[- ]checker)\\b'
+            }
+        ]
+    }
+};
+
+class CompliancePolicyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CompliancePolicyError';
+    }
+}
+
+function defaultPackDirectories(cwd = process.cwd()) {
+    // Highest precedence first
+    return [
+        path.join(cwd, '.ueos-local', 'compliance'),
+        path.join(ueosHome(), 'templates', 'compliance')
+    ];
+}
+
+async function loadPolicyPacks(names = [], options = {}) {
+    const directories = options.directories || defaultPackDirectories(options.cwd);
+    const packs = [];
+
+    for (const name of new Set(names.map(pack => String(pack).toLowerCase()))) {
+        packs.push(await loadPolicyPack(name, directories));
+    }
+
+    return packs;
+}
+
+async function loadPolicyPack(name, directories) {
+    for (const directory of directories) {
+        for (const extension of PACK_EXTENSIONS) {
+            const file = path.join(directory, `${name}${extension}`);
+            const definition = await readPackFile(file);
+            if (definition) {
+                return normalizePolicyPack({ name, ...definition }, file);
+            }
+        }
+    }
+
+    if (BUILTIN_POLICY_PACKS[name]) {
+        return normalizePolicyPack(BUILTIN_POLICY_PACKS[name], 'builtin');
+    }
+
+    throw new CompliancePolicyError(
+        `Unknown compliance pack "${name}" (built-in: ${Object.keys(BUILTIN_POLICY_PACKS).join(', ')}; searched ${directories.join(', ')})`
+    );
+}
+
+async function readPackFile(file) {
+    let content;
+    try {
+        content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    try {
+        if (file.endsWith('.json')) {
+            return JSON.parse(content);
+        }
+
+        const yaml = require('js-yaml');
+        return yaml.load(content);
+    } catch (error) {
+        throw new CompliancePolicyError(`Invalid compliance pack file ${file}: ${error.message}`);
+    }
+}
+
+// Validates a pack and compiles its patterns
+function normalizePolicyPack(pack, source) {
+    const errors = [];
+
+    if (!Array.isArray(pack.rules) || pack.rules.length === 0) {
+        errors.push('"rules" must be a non-empty list');
+    }
+
+    const rules = (pack.rules || []).map((rule, index) => {
+        const where = `rule ${rule?.id || `#${index + 1}`}`;
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`${where} must be an object`);
+            return null;
+        }
+        if (typeof rule.id !== 'string') errors.push(`${where} needs an "id"`);
+        if (!SEVERITIES[rule.severity]) {
+            errors.push(`${where}: severity must be one of ${Object.keys(SEVERITIES).join(', ')}`);
+        }
+        if (rule.target !== undefined && !TARGETS.includes(rule.target)) {
+            errors.push(`${where}: target must be one of ${TARGETS.join(', ')}`);
+        }
+        if (!rule.forbid === !rule.require) {
+            errors.push(`${where} needs exactly one of "forbid" or "require"`);
+        }
+        if (rule.when && !rule.require) {
+            errors.push(`${where}: "when" only applies to "require" rules`);
+        }
+
+        const compile = (field) => {
+            if (rule[field] === undefined) return null;
+            try {
+                return new RegExp(rule[field], (rule.flags ?? 'i').replace('g', ''));
+            } catch (error) {
+                errors.push(`${where}: invalid ${field} pattern (${error.message})`);
+                return null;
+            }
+        };
+
+        return {
+            ...rule,
+            pack: pack.name,
+            target: rule.target || 'spec',
+            description: rule.description || rule.id,
+            patterns: { forbid: compile('forbid'), require: compile('require'), when: compile('when') }
+        };
+    });
+
+    if (errors.length > 0) {
+        throw new CompliancePolicyError(`Invalid compliance pack "${pack.name}" (${source}): ${errors.join('; ')}`);
+    }
+
+    return { name: pack.name, description: pack.description, source, rules };
+}
+
+class ComplianceEngine {
+    // waivers: rule ids ("hipaa/audit-logging", "secrets/*") accepted by a human
+    constructor({ packs = [], waivers = [], blockOn = 'high' } = {}) {
+        this.packs = packs;
+        this.waivers = waivers;
+        this.blockOn = SEVERITIES[blockOn] ? blockOn : 'high';
+    }
+
+    withWaivers(waivers = []) {
+        return new ComplianceEngine({ packs: this.packs, waivers: [...this.waivers, ...waivers], blockOn: this.blockOn });
+    }
+
+    check({ spec, code } = {}) {
+        const documents = {
+            spec: spec === undefined ? [] : [{ file: null, text: toText(spec) }],
+            code: toDocuments(code)
+        };
+
+        // Packs share the secret rules; each rule runs once
+        const rules = new Map();
+        this.packs.forEach(pack => pack.rules.forEach(rule => {
+            if (!rules.has(rule.id)) rules.set(rule.id, rule);
+        }));
+
+        const findings = [];
+        rules.forEach(rule => {
+            evaluateRule(rule, documents[rule.target]).forEach(finding => {
+                findings.push({ ...finding, waived: this.isWaived(rule.id) || undefined });
+            });
+        });
+
+        const open = findings.filter(finding => !finding.waived);
+        const summary = Object.keys(SEVERITIES).reduce((acc, severity) => {
+            acc[severity] = open.filter(finding => finding.severity === severity).length;
+            return acc;
+        }, { waived: findings.length - open.length });
+        const blocking = open.filter(finding => SEVERITIES[finding.severity] >= SEVERITIES[this.blockOn]);
+
+        return {
+            packs: this.packs.map(pack => ({ name: pack.name, source: pack.source })),
+            checkedAt: new Date().toISOString(),
+            checked: { spec: documents.spec.length > 0, files: documents.code.length },
+            passed: blocking.length === 0,
+            summary,
+            blocking: blocking.map(finding => finding.rule),
+            findings
+        };
+    }
+
+    isWaived(ruleId) {
+        return this.waivers.some(waiver =>
+            waiver.endsWith('*') ? ruleId.startsWith(waiver.slice(0, -1)) : waiver === ruleId
+        );
+    }
+}
+
+function evaluateRule(rule, documents) {
+    const base = { rule: rule.id, pack: rule.pack, severity: rule.severity, target: rule.target, message: rule.description };
+    if (documents.length === 0) return [];
+
+    if (rule.patterns.forbid) {
+        const findings = [];
+        documents.forEach(({ file, text }) => {
+            text.split('\n').forEach((line, index) => {
+                if (!rule.patterns.forbid.test(line)) return;
+                findings.push({
+                    ...base,
+                    file: file || undefined,
+                    line: index + 1,
+                    // Never copy a secret into reports and escalation issues
+                    excerpt: rule.redact ? undefined : line.trim().slice(0, 200)
+                });
+            });
+        });
+        return findings;
+    }
+
+    let trigger = null;
+    if (rule.patterns.when) {
+        for (const { text } of documents) {
+            const match = text.match(rule.patterns.when);
+            if (match) {
+                trigger = match[0];
+                break;
+            }
+        }
+        if (!trigger) return [];
+    }
+
+    const satisfied = documents.some(({ text }) => rule.patterns.require.test(text));
+    return satisfied ? [] : [{ ...base, trigger: trigger || undefined }];
+}
+
+function toDocuments(code) {
+    if (code === undefined || code === null) return [];
+
+    const files = extractFiles(code);
+    if (!files) {
+        return [{ file: null, text: toText(code) }];
+    }
+
+    const entries = Array.isArray(files) ? files.map(file => [file.path, file.content]) : Object.entries(files);
+    return entries.map(([file, content]) => ({ file, text: toText(content) }));
+}
+
+// Laid out like JSON, but strings are left unescaped: JSON.stringify would
+// turn the quotes in `password = "..."` into \" and hide it from the rules.
+// A bare string, such as a file's content, is returned as it is
+function toText(value, indent = '') {
+    if (typeof value === 'string') return indent ? `"${value}"` : value;
+    if (value && typeof value.toJSON === 'function') return toText(value.toJSON(), indent);
+    if (value === null || typeof value !== 'object') return String(value);
+
+    const inner = `${indent}  `;
+    const entries = Array.isArray(value)
+        ? value.map(item => `${inner}${toText(item, inner)}`)
+        : Object.entries(value)
+            .filter(([, item]) => item !== undefined && typeof item !== 'function')
+            .map(([key, item]) => `${inner}"${key}": ${toText(item, inner)}`);
+    const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{', '}'];
+
+    return entries.length > 0 ? `${open}\n${entries.join(',\n')}\n${indent}${close}` : `${open}${close}`;
+}
+
+module.exports = {
+    BUILTIN_POLICY_PACKS,
+    SEVERITIES,
+    ComplianceEngine,
+    CompliancePolicyError,
+    loadPolicyPacks,
+    normalizePolicyPack
+};
@@ -0,0 +1,105 @@
+/**
+ * UEOS Config
+ * Merges the global configuration in ~/.ueos/config with the project's
+ * .ueos-local/config and maps it onto SwarmOrchestrator options.
+ * Later sources win; objects merge key by key, arrays are replaced.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { ueosHome } = require('./paths');
+
+const CONFIG_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+function configSources(cwd = process.cwd()) {
+    return [
+        path.join(ueosHome(), 'config', 'global'),
+        path.join(ueosHome(), 'config', 'orchestrator'),
+        path.join(cwd, '.ueos-local', 'config')
+    ];
+}
+
+async function loadConfig(options = {}) {
+    const sources = options.sources || configSources(options.cwd);
+    const loaded = [];
+    let merged = {};
+
+    for (const base of sources) {
+        for (const extension of CONFIG_EXTENSIONS) {
+            const file = `${base}${extension}`;
+            const content = await readConfigFile(file);
+            if (content) {
+                merged = mergeConfig(merged, content);
+                loaded.push(file);
+                break;
+            }
+        }
+    }
+
+    if (options.overrides) {
+        merged = mergeConfig(merged, options.overrides);
+    }
+
+    return { settings: merged, orchestrator: toOrchestratorConfig(merged), sources: loaded };
+}
+
+async function readConfigFile(file) {
+    let content;
+    try {
+        content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    try {
+        if (file.endsWith('.json')) {
+            return JSON.parse(content);
+        }
+
+        const yaml = require('js-yaml');
+        return yaml.load(content);
+    } catch (error) {
+        throw new Error(`Invalid config file ${file}: ${error.message}`);
+    }
+}
+
+function mergeConfig(base, override) {
+    const result = { ...base };
+
+    Object.entries(override || {}).forEach(([key, value]) => {
+        if (isPlainObject(value) && isPlainObject(result[key])) {
+            result[key] = mergeConfig(result[key], value);
+        } else if (value !== undefined) {
+            result[key] = value;
+        }
+    });
+
+    return result;
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// global.json keeps swarm settings under "swarm"; orchestrator-only
+// options live under "orchestrator"
+function toOrchestratorConfig(settings) {
+    const swarm = settings.swarm || {};
+    const config = {
+        maxAgents: swarm.defaultAgents,
+        topology: swarm.topology,
+        performanceMode: swarm.performanceMode,
+        github: settings.github,
+        chatops: settings.chatops,
+        notifications: settings.notifications,
+        compliance: settings.compliance,
+        domain: settings.domain,
+        ...settings.orchestrator
+    };
+
+    Object.keys(config).forEach(key => config[key] === undefined && delete config[key]);
+    return config;
+}
+
+module.exports = { loadConfig, mergeConfig, configSources, readConfigFile, toOrchestratorConfig };
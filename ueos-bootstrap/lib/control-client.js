@@ -0,0 +1,148 @@
+/**
+ * Control Client - Talks to a running orchestrator's control API
+ * The server writes its address and token to ~/.ueos/runtime/api.json;
+ * discover() returns null when no server is reachable.
+ */
+
+const http = require('http');
+const fs = require('fs').promises;
+const { runtimePath } = require('./paths');
+
+class ControlClient {
+    constructor({ host = '127.0.0.1', port, token }) {
+        this.host = host;
+        this.port = port;
+        this.token = token;
+    }
+
+    static async discover(infoFile = runtimePath('api.json')) {
+        let info;
+        try {
+            info = JSON.parse(await fs.readFile(infoFile, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+
+        const client = new ControlClient(info);
+        try {
+            await client.request('GET', '/status');
+            return client;
+        } catch (error) {
+            // A stale file left behind by a process that died
+            return null;
+        }
+    }
+
+    request(method, path, body) {
+        return new Promise((resolve, reject) => {
+            const payload = body === undefined ? null : JSON.stringify(body);
+            const req = http.request({
+                host: this.host,
+                port: this.port,
+                method,
+                path,
+                headers: {
+                    Authorization: `Bearer ${this.token}`,
+                    ...(payload ? { 'Content-Type': 'application/json' } : {})
+                }
+            }, res => {
+                let data = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => { data += chunk; });
+                res.on('end', () => {
+                    let parsed = null;
+                    try {
+                        parsed = data ? JSON.parse(data) : null;
+                    } catch (error) {
+                        parsed = data;
+                    }
+
+                    if (res.statusCode >= 400) {
+                        const error = new Error(parsed?.error || `HTTP ${res.statusCode}`);
+                        error.status = res.statusCode;
+                        reject(error);
+                    } else {
+                        resolve(parsed);
+                    }
+                });
+            });
+
+            req.on('error', reject);
+            if (payload) req.write(payload);
+            req.end();
+        });
+    }
+
+    // Calls onEvent({ type, timestamp, data }) per server-sent event and
+    // onClose(error) if the stream ends before close() is called; resolves
+    // with a close function once the stream is connected
+    events({ types, execution } = {}, onEvent, onClose = () => {}) {
+        const query = new URLSearchParams({ token: this.token });
+        if (types) query.set('types', [].concat(types).join(','));
+        if (execution) query.set('execution', execution);
+
+        return new Promise((resolve, reject) => {
+            let connected = false;
+            let closed = false;
+            const end = (error) => {
+                if (closed) return;
+                closed = true;
+                onClose(error || new Error('Event stream closed by the server'));
+            };
+            const req = http.get({ host: this.host, port: this.port, path: `/events?${query}` }, res => {
+                if (res.statusCode !== 200) {
+                    res.resume();
+                    reject(new Error(`Event stream refused with HTTP ${res.statusCode}`));
+                    return;
+                }
+
+                let buffer = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => {
+                    buffer += chunk;
+
+                    // Events are separated by a blank line
+                    let boundary;
+                    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                        const block = buffer.slice(0, boundary);
+                        buffer = buffer.slice(boundary + 2);
+
+                        const data = block.split('\n')
+                            .filter(line => line.startsWith('data: '))
+                            .map(line => line.slice(6))
+                            .join('\n');
+                        if (!data) continue;
+
+                        let event;
+                        try {
+                            event = JSON.parse(data);
+                        } catch (error) {
+                            // Skip a malformed event rather than losing the stream
+                            continue;
+                        }
+                        onEvent(event);
+                    }
+                });
+                res.on('end', () => end());
+                res.on('close', () => end());
+                res.on('error', end);
+
+                connected = true;
+                resolve(() => {
+                    closed = true;
+                    req.destroy();
+                });
+            });
+
+            req.on('error', error => {
+                if (connected) {
+                    end(error);
+                } else {
+                    reject(error);
+                }
+            });
+        });
+    }
+}
+
+module.exports = { ControlClient };
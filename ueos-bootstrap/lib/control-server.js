@@ -0,0 +1,368 @@
+/**
+ * Control Server - Optional local HTTP API for a long-running orchestrator
+ * Submit, inspect, cancel and approve executions, and follow the
+ * orchestrator's events over Server-Sent Events at GET /events.
+ * Every request needs the bearer token; only loopback clients are served
+ * unless allowRemote is set.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const EventEmitter = require('events');
+const { runtimePath, isExecutionId } = require('./paths');
+
+const STREAMED_EVENTS = [
+    'phase:start', 'phase:complete', 'phase:skipped', 'phase:partial',
+    'agent:message', 'agent:error', 'agent:complete', 'agent:registered', 'agent:rejected',
+    'agent:recovered', 'agent:recovery:failed',
+    'execution:queued', 'execution:start', 'execution:resume', 'execution:retry', 'execution:complete',
+    'execution:failed', 'execution:blocked', 'execution:cancelling', 'execution:cancelled',
+    'execution:timeout', 'execution:awaiting_approval', 'execution:rejected', 'execution:planned',
+    'approval:granted', 'flow:blocked', 'escalation', 'escalation:failed',
+    'circuit:open', 'circuit:half_open', 'circuit:closed', 'workspace:commit', 'workspace:error', 'compliance:report',
+    'qa:fix_attempt', 'qa:flaky', 'budget:warning', 'budget:exceeded',
+    'chatops:command', 'chatops:denied'
+];
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const LOOPBACK = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+class ControlServer extends EventEmitter {
+    constructor(orchestrator, options = {}) {
+        super();
+
+        this.orchestrator = orchestrator;
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port ?? 9465;
+        this.allowRemote = options.allowRemote === true;
+        this.token = options.token || process.env.UEOS_API_TOKEN || crypto.randomBytes(24).toString('hex');
+        this.heartbeatInterval = options.heartbeatInterval || 15000;
+        this.infoFile = options.infoFile || runtimePath('api.json');
+
+        this.server = null;
+        this.clients = new Set();
+        this.listeners = [];
+        this.nextEventId = 1;
+    }
+
+    async start() {
+        if (this.server) return this.address();
+
+        if (!LOOPBACK.includes(this.host) && this.host !== 'localhost' && !this.allowRemote) {
+            throw new Error(`Refusing to bind the control API to ${this.host}; set allowRemote to expose it`);
+        }
+
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => this.sendError(res, error));
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+
+        STREAMED_EVENTS.forEach(type => {
+            const listener = (data) => this.broadcast(type, data);
+            this.orchestrator.on(type, listener);
+            this.listeners.push([type, listener]);
+        });
+
+        // Lets the CLI on this machine find the server and its token
+        await fs.mkdir(path.dirname(this.infoFile), { recursive: true });
+        await fs.writeFile(this.infoFile, JSON.stringify({
+            ...this.address(),
+            token: this.token,
+            pid: process.pid
+        }, null, 2), { mode: 0o600 });
+
+        this.emit('listening', this.address());
+        return this.address();
+    }
+
+    async handle(req, res) {
+        if (!this.allowRemote && !LOOPBACK.includes(req.socket.remoteAddress)) {
+            throw new HttpError(403, 'Control API only accepts local connections');
+        }
+
+        const url = new URL(req.url, `http://${req.headers.host || this.host}`);
+        this.authorize(req, url);
+
+        let segments;
+        try {
+            segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+        } catch (error) {
+            throw new HttpError(400, `Malformed path ${url.pathname}`);
+        }
+        const route = `${req.method} /${segments.map((segment, index) => index === 1 ? ':id' : segment).join('/')}`;
+        const executionId = segments[1];
+
+        // Ids are used in journal and artifact file names
+        if (segments[0] === 'executions' && executionId !== undefined && !isExecutionId(executionId)) {
+            throw new HttpError(400, `Invalid execution id "${executionId}"`);
+        }
+
+        switch (route) {
+            case 'GET /status':
+                return this.sendJson(res, 200, this.orchestrator.getStatus());
+            case 'GET /executions':
+                return this.sendJson(res, 200, this.orchestrator.getStatus().executions);
+            case 'POST /executions':
+                return this.submit(res, await readJson(req));
+            case 'GET /executions/:id':
+                return this.sendJson(res, 200, await this.findExecution(executionId));
+            case 'GET /executions/:id/artifacts':
+                return this.sendJson(res, 200, await this.artifacts(executionId, url.searchParams));
+            case 'GET /executions/:id/diff':
+                return this.sendJson(res, 200, await this.diff(executionId, url.searchParams));
+            case 'POST /executions/:id/cancel': {
+                const { reason } = await readJson(req);
+                if (!this.orchestrator.cancelExecution(executionId, reason)) {
+                    throw new HttpError(409, `Execution ${executionId} is not running`);
+                }
+                return this.sendJson(res, 202, { executionId, status: 'cancelling' });
+            }
+            case 'POST /executions/:id/approve': {
+                const { guidance = null, approver } = await readJson(req);
+                await this.pendingApproval(executionId);
+
+                // The approved execution keeps running after we answer
+                this.orchestrator.approve(executionId, guidance, { approver }).catch(error => {
+                    this.emit('request:error', { executionId, error });
+                });
+                return this.sendJson(res, 202, { executionId, status: 'approved' });
+            }
+            case 'POST /executions/:id/reject': {
+                const { reason, approver } = await readJson(req);
+                await this.pendingApproval(executionId);
+                return this.sendJson(res, 200, await this.orchestrator.reject(executionId, reason, { approver }));
+            }
+            case 'GET /events':
+                return this.stream(req, res, url);
+            default:
+                throw new HttpError(404, `No route for ${req.method} ${url.pathname}`);
+        }
+    }
+
+    authorize(req, url) {
+        // EventSource cannot send headers, so /events also accepts ?token=
+        const header = req.headers.authorization || '';
+        const provided = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token');
+
+        const expected = Buffer.from(this.token);
+        const actual = Buffer.from(provided || '');
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            throw new HttpError(401, 'Missing or invalid API token');
+        }
+    }
+
+    async submit(res, { task, options = {} }) {
+        if (!task) {
+            throw new HttpError(400, 'Request body needs a "task"');
+        }
+
+        // AbortSignals cannot come over HTTP; cancel through the API instead
+        const { signal, ...safeOptions } = options;
+
+        if (safeOptions.dryRun) {
+            return this.sendJson(res, 200, await this.orchestrator.executeTask(task, safeOptions));
+        }
+
+        const { executionId, result } = await this.orchestrator.submitTask(task, safeOptions);
+        // Outcomes are reported through events and GET /executions/:id
+        result.catch(() => {});
+
+        return this.sendJson(res, 202, { executionId, status: 'submitted' });
+    }
+
+    async findExecution(executionId) {
+        const execution = await this.orchestrator.getExecution(executionId);
+        if (!execution) {
+            throw new HttpError(404, `Unknown execution ${executionId}`);
+        }
+        return execution;
+    }
+
+    // ?name= returns that artifact's content, otherwise the manifest entries
+    async artifacts(executionId, params) {
+        const name = params.get('name');
+        const attempt = params.has('attempt') ? Number(params.get('attempt')) : undefined;
+
+        if (!name) {
+            return await this.orchestrator.getArtifacts(executionId, { attempt });
+        }
+
+        const artifact = await this.orchestrator.getArtifact(executionId, name, { attempt });
+        if (!artifact) {
+            throw new HttpError(404, `Execution ${executionId} has no "${name}" artifact`);
+        }
+        return artifact;
+    }
+
+    async diff(executionId, params) {
+        const name = params.get('name');
+        if (!name) {
+            throw new HttpError(400, 'Query needs a "name" artifact to diff');
+        }
+
+        const attempt = (key) => params.has(key) ? Number(params.get(key)) : undefined;
+        try {
+            return await this.orchestrator.diffArtifacts(executionId, name, { from: attempt('from'), to: attempt('to') });
+        } catch (error) {
+            if (error.code === 'ARTIFACT_NOT_FOUND') throw new HttpError(404, error.message);
+            throw error;
+        }
+    }
+
+    async pendingApproval(executionId) {
+        try {
+            return await this.orchestrator.loadPendingApproval(executionId);
+        } catch (error) {
+            throw new HttpError(409, error.message);
+        }
+    }
+
+    stream(req, res, url) {
+        const types = url.searchParams.get('types');
+        const client = {
+            res,
+            executionId: url.searchParams.get('execution'),
+            patterns: types ? types.split(',').map(type => type.trim()).filter(Boolean) : null
+        };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.write(`retry: 3000\n\n`);
+
+        client.heartbeat = setInterval(() => res.write(': keep-alive\n\n'), this.heartbeatInterval);
+        client.heartbeat.unref();
+
+        this.clients.add(client);
+        req.on('close', () => {
+            clearInterval(client.heartbeat);
+            this.clients.delete(client);
+        });
+    }
+
+    broadcast(type, data) {
+        if (this.clients.size === 0) return;
+
+        const id = this.nextEventId++;
+        const payload = toJson({ type, timestamp: new Date().toISOString(), data });
+
+        this.clients.forEach(client => {
+            if (client.patterns && !client.patterns.some(pattern => matches(pattern, type))) return;
+            if (client.executionId && data?.executionId !== client.executionId) return;
+
+            client.res.write(`id: ${id}\nevent: ${type}\ndata: ${payload}\n\n`);
+        });
+    }
+
+    sendJson(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(toJson(body) + '\n');
+    }
+
+    sendError(res, error) {
+        // A full admission queue is backpressure, not a server fault
+        const status = error instanceof HttpError ? error.status
+            : error.code === 'QUEUE_FULL' ? 429
+                : error.code === 'EXECUTION_ACTIVE' ? 409 : 500;
+        if (status === 500) {
+            this.emit('request:error', { error });
+        }
+
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        this.sendJson(res, status, { error: error.message });
+    }
+
+    address() {
+        const address = this.server?.address();
+        return address ? { host: address.address, port: address.port } : null;
+    }
+
+    async stop() {
+        if (!this.server) return;
+
+        this.listeners.forEach(([type, listener]) => this.orchestrator.off(type, listener));
+        this.listeners = [];
+
+        // Open event streams would otherwise keep close() waiting
+        this.clients.forEach(client => {
+            clearInterval(client.heartbeat);
+            client.res.end();
+        });
+        this.clients.clear();
+
+        const server = this.server;
+        this.server = null;
+        await new Promise(resolve => server.close(() => resolve()));
+        await fs.rm(this.infoFile, { force: true });
+    }
+}
+
+function matches(pattern, type) {
+    return pattern.endsWith('*') ? type.startsWith(pattern.slice(0, -1)) : pattern === type;
+}
+
+async function readJson(req) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw new HttpError(413, 'Request body too large');
+        }
+        chunks.push(chunk);
+    }
+
+    if (size === 0) return {};
+
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+        throw new HttpError(400, `Invalid JSON body: ${error.message}`);
+    }
+}
+
+// Event payloads carry errors, agents and the odd cycle
+function toJson(value) {
+    const ancestors = [];
+
+    return JSON.stringify(value, function replacer(key, item) {
+        if (item instanceof Error) {
+            return { name: item.name, message: item.message, code: item.code };
+        }
+        if (!item || typeof item !== 'object') return item;
+
+        // `this` is the object holding item; leave the branches we are done with
+        while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) {
+            ancestors.pop();
+        }
+        if (ancestors.includes(item)) return '[Circular]';
+
+        ancestors.push(item);
+        return item;
+    });
+}
+
+module.exports = { ControlServer, HttpError, STREAMED_EVENTS };
@@ -0,0 +1,211 @@
+/**
+ * Execution Journal - Append-only, crash-safe record of swarm executions
+ * Each execution gets a JSONL file; every record is flushed to disk before the
+ * orchestrator moves on, so a restarted process can replay it and resume.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { runtimePath, isExecutionId } = require('./paths');
+
+class ExecutionJournal {
+    constructor(options = {}) {
+        this.directory = options.directory || runtimePath('journal');
+        this.ready = null;
+    }
+
+    async ensureDirectory() {
+        if (!this.ready) {
+            // A failed mkdir is retried by the next call rather than remembered
+            this.ready = fs.mkdir(this.directory, { recursive: true }).catch(error => {
+                this.ready = null;
+                throw error;
+            });
+        }
+        return this.ready;
+    }
+
+    filePath(executionId) {
+        if (!isExecutionId(executionId)) {
+            throw new Error(`Invalid execution id "${executionId}"`);
+        }
+        return path.join(this.directory, `${executionId}.jsonl`);
+    }
+
+    async append(executionId, record) {
+        await this.ensureDirectory();
+
+        const line = JSON.stringify({ ...record, timestamp: Date.now() }) + '\n';
+        const handle = await fs.open(this.filePath(executionId), 'a');
+
+        try {
+            await handle.write(line);
+            // Make sure the record survives a crash right after this call
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+    }
+
+    async start(executionId, { task, decomposition, startTime, gates = [] }) {
+        await this.append(executionId, { type: 'start', task, decomposition, startTime, gates, pid: process.pid });
+    }
+
+    // usage is the execution's running total, so a crash mid-run resumes
+    // from the last completed phase rather than the last status change
+    async recordPhase(executionId, phase, result, { usage } = {}) {
+        await this.append(executionId, { type: 'phase', phase, result, usage });
+    }
+
+    async recordStatus(executionId, status, details = {}) {
+        await this.append(executionId, { type: 'status', status, ...details });
+    }
+
+    async recordApproval(executionId, { gate, decision, guidance, approver }) {
+        await this.append(executionId, { type: 'approval', gate, decision, guidance, approver });
+    }
+
+    async recordRetry(executionId, { phase, attempt, classification, error, delay }) {
+        await this.append(executionId, { type: 'retry', phase, attempt, classification, error, delay });
+    }
+
+    async load(executionId) {
+        let content;
+        try {
+            content = await fs.readFile(this.filePath(executionId), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        return ExecutionJournal.replay(executionId, ExecutionJournal.parse(content));
+    }
+
+    async list() {
+        await this.ensureDirectory();
+
+        const files = await fs.readdir(this.directory);
+        const executions = await Promise.all(
+            files
+                .map(file => path.basename(file, '.jsonl'))
+                .filter(executionId => isExecutionId(executionId))
+                .map(executionId => this.load(executionId))
+        );
+
+        return executions.filter(Boolean);
+    }
+
+    async remove(executionId) {
+        await fs.rm(this.filePath(executionId), { force: true });
+    }
+
+    static parse(content) {
+        const records = [];
+
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                // A torn write from a crash can only affect the last line
+                break;
+            }
+        }
+
+        return records;
+    }
+
+    static replay(executionId, records) {
+        const state = {
+            id: executionId,
+            task: null,
+            decomposition: null,
+            status: 'pending',
+            startTime: null,
+            updatedAt: null,
+            phases: {},
+            results: {},
+            gates: [],
+            approvals: {},
+            retries: 0
+        };
+
+        records.forEach(record => {
+            state.updatedAt = record.timestamp;
+
+            switch (record.type) {
+                case 'start':
+                    state.task = record.task;
+                    state.decomposition = record.decomposition;
+                    state.startTime = record.startTime;
+                    state.gates = record.gates || [];
+                    state.pid = record.pid;
+                    state.status = 'in_progress';
+                    break;
+                case 'phase':
+                    state.phases[record.phase] = record.result;
+                    if (record.usage) state.usage = record.usage;
+                    break;
+                case 'status': {
+                    const { type, timestamp, ...details } = record;
+                    // Errors, blockers and gates only describe the latest status
+                    delete state.error;
+                    delete state.blocked;
+                    delete state.gate;
+                    Object.assign(state, details);
+                    break;
+                }
+                case 'approval':
+                    state.approvals[record.gate] = {
+                        decision: record.decision,
+                        guidance: record.guidance,
+                        approver: record.approver,
+                        timestamp: record.timestamp
+                    };
+                    break;
+                case 'retry':
+                    state.retries++;
+                    state.lastRetry = {
+                        phase: record.phase,
+                        attempt: record.attempt,
+                        classification: record.classification,
+                        error: record.error,
+                        timestamp: record.timestamp
+                    };
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        return state.task ? state : null;
+    }
+}
+
+// Whether the process that journaled an execution is still running; journals
+// are local to one host, so the pid is enough
+function processAlive(pid) {
+    if (!pid) return false;
+
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+function serializeError(error) {
+    if (!error) return null;
+
+    return {
+        name: error.name,
+        message: error.message,
+        stack: error.stack,
+        code: error.code,
+        classification: error.classification,
+        phase: error.phase
+    };
+}
+
+module.exports = { ExecutionJournal, serializeError, processAlive };
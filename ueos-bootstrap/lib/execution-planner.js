@@ -0,0 +1,210 @@
+/**
+ * Execution Planner - Builds a side-effect free preview of an execution
+ * Used by executeTask(task, { dryRun: true }) to show the resolved topology,
+ * the parallel dev tasks and every outward action before anything runs.
+ */
+
+const { ORCHESTRATOR, WILDCARD, getTopologyNodes } = require('./topologies');
+
+function buildExecutionPlan({
+    task, topology, decomposition, devTasks, devConcurrency, specSource, specTemplate, config, gates = [], phaseAgents = {}
+}) {
+    const stages = planStages(topology);
+    const phases = getTopologyNodes(topology);
+
+    return {
+        task,
+        generatedAt: new Date().toISOString(),
+        topology: {
+            name: topology.name,
+            source: topology.source,
+            flows: topology.flows.map(({ from, to, condition }) => ({ from, to, condition }))
+        },
+        stages,
+        specTemplate: specTemplate ? { name: specTemplate.name, files: specTemplate.files } : null,
+        research: decomposition.research || [],
+        requirements: decomposition.requirements || [],
+        development: {
+            specSource,
+            maxConcurrent: devConcurrency,
+            // null until a spec is available (specSource 'pending')
+            tasks: devTasks
+        },
+        gates: gates.map(({ id, notify }) => ({ id, notify })),
+        actions: [
+            ...describeIntegrationActions(config),
+            ...describeCustomPhaseActions(topology, phaseAgents),
+            ...describeGateActions(config, gates),
+            ...(phases.includes('qa') ? escalationTriggered(config, 'QA Failed', 'if the QA gate fails') : []),
+            ...escalationTriggered(config, '<reason>', 'if the flow blocks for a human')
+        ]
+    };
+}
+
+// Each gate that notifies opens its own issue to approve on
+function describeGateActions(config, gates) {
+    return gates
+        .filter(gate => gate.notify)
+        .flatMap(gate => escalationTriggered(config, `Approval required at ${gate.id}`, `at approval gate ${gate.id}`));
+}
+
+function escalationTriggered(config, reason, trigger) {
+    return describeEscalationActions(config, reason).map(action => ({ ...action, trigger }));
+}
+
+function planStages(topology) {
+    const nodes = getTopologyNodes(topology);
+    const inbound = new Map(nodes.map(node => [node, new Set()]));
+
+    topology.flows.forEach(({ from, to }) => {
+        if (inbound.has(to) && from !== ORCHESTRATOR && from !== WILDCARD) {
+            inbound.get(to).add(from);
+        }
+    });
+
+    // Group phases into stages that can run side by side
+    const stages = [];
+    const placed = new Set();
+
+    while (placed.size < nodes.length) {
+        const ready = nodes.filter(node =>
+            !placed.has(node) && Array.from(inbound.get(node)).every(dep => placed.has(dep))
+        );
+        if (ready.length === 0) break;
+
+        stages.push(ready.map(phase => ({
+            phase,
+            conditions: topology.flows
+                .filter(flow => flow.to === phase)
+                .map(flow => `${flow.from}:${flow.condition}`)
+        })));
+        ready.forEach(node => placed.add(node));
+    }
+
+    return stages;
+}
+
+function describeIntegrationActions(config) {
+    const actions = [];
+
+    if (config.github?.enabled) {
+        const repository = config.github.repository;
+        const branch = config.github.branch || 'main';
+
+        actions.push(
+            { phase: 'integration', type: 'github.branch', target: repository, details: { base: branch } },
+            { phase: 'integration', type: 'github.pull_request', target: repository, details: { base: branch } },
+            { phase: 'integration', type: 'github.issues', target: repository, details: { source: 'IntegrationAgent.createGitHubArtifacts' } }
+        );
+    }
+
+    if (config.notifications?.enabled) {
+        (config.notifications.channels || []).forEach(channel => {
+            actions.push({
+                phase: 'integration',
+                type: 'notification',
+                target: typeof channel === 'string' ? channel : channel.name || channel.type,
+                details: { type: 'completion' }
+            });
+        });
+    }
+
+    return actions.map(action => ({ ...action, trigger: 'on integration' }));
+}
+
+function describeEscalationActions(config, reason = '<reason>') {
+    const actions = [];
+
+    if (config.github?.autoCreateIssues) {
+        actions.push({
+            phase: 'escalation',
+            type: 'github.issue',
+            target: config.github.repository,
+            details: {
+                title: `UEOS Workflow Blocked: ${reason}`,
+                labels: ['ueos-blocked', 'needs-human-intervention'],
+                assignees: config.github.assignees || []
+            }
+        });
+    }
+
+    if (config.notifications?.webhooks) {
+        actions.push({
+            phase: 'escalation',
+            type: 'webhook',
+            target: config.notifications.webhooks.blocked,
+            details: { payload: ['reason', 'details', 'timestamp'] }
+        });
+    }
+
+    return actions;
+}
+
+function describeCustomPhaseActions(topology, phaseAgents) {
+    return Object.entries(phaseAgents).map(([phase, { agent, method }]) => ({
+        phase,
+        type: 'agent.call',
+        target: `${agent}.${method || 'execute'}`,
+        details: { note: 'custom agent; side effects depend on its implementation' },
+        trigger: `on ${phase}`
+    }));
+}
+
+function formatPlanReport(plan) {
+    const lines = [];
+    const taskName = plan.task?.name || plan.task?.title || JSON.stringify(plan.task);
+
+    lines.push(`UEOS Execution Plan (dry run)`);
+    lines.push(`Task: ${taskName}`);
+    lines.push(`Topology: ${plan.topology.name} (${plan.topology.source})`);
+    if (plan.specTemplate) {
+        lines.push(`Spec template: ${plan.specTemplate.name} (${plan.specTemplate.files.join(' <- ')})`);
+    }
+    lines.push('');
+
+    lines.push('Stages:');
+    plan.stages.forEach((stage, index) => {
+        const phases = stage.map(({ phase, conditions }) => `${phase} [${conditions.join(', ')}]`);
+        lines.push(`  ${index + 1}. ${phases.join(' | ')}`);
+    });
+    lines.push('');
+
+    lines.push(`Research tasks (${plan.research.length}):`);
+    plan.research.forEach(task => lines.push(`  - ${describe(task)}`));
+    lines.push('');
+
+    if (plan.development.tasks) {
+        lines.push(`Development tasks (${plan.development.tasks.length}, up to ${plan.development.maxConcurrent} in parallel, spec: ${plan.development.specSource}):`);
+        plan.development.tasks.forEach(task => lines.push(`  - ${describe(task)}`));
+    } else {
+        lines.push(`Development tasks (up to ${plan.development.maxConcurrent} in parallel): pending spec`);
+        lines.push('  (planned from the spec phase output; pass options.spec to preview them)');
+    }
+    lines.push('');
+
+    if (plan.gates.length > 0) {
+        lines.push(`Approval gates: ${plan.gates.map(gate => gate.id).join(', ')}`);
+        lines.push('');
+    }
+
+    lines.push(`Outward actions (${plan.actions.length}):`);
+    if (plan.actions.length === 0) {
+        lines.push('  (none - GitHub, notifications and webhooks are disabled)');
+    }
+    plan.actions.forEach(action => {
+        lines.push(`  - [${action.trigger}] ${action.type} -> ${action.target || '(unset)'}`);
+    });
+
+    return lines.join('\n');
+}
+
+function describe(task) {
+    if (typeof task === 'string') return task;
+    return task.name || task.title || task.description || task.id || JSON.stringify(task);
+}
+
+module.exports = {
+    buildExecutionPlan,
+    formatPlanReport,
+    describeEscalationActions
+};
@@ -0,0 +1,184 @@
+/**
+ * Flow Executor - Runs a topology's phases as a conditional dependency graph
+ * A phase starts once every flow into it has been resolved and at least one
+ * of them fired; phases whose flows all resolve false are skipped.
+ */
+
+const EventEmitter = require('events');
+const { ORCHESTRATOR, WILDCARD, getTopologyNodes } = require('./topologies');
+
+const DEFAULT_CONDITIONS = {
+    always: () => true,
+    never: () => false,
+    data_gathered: (result) => result !== undefined && result !== null,
+    spec_complete: (result) => !!result && !result.blocked,
+    code_complete: (result) => !!result && !result.blocked,
+    // A failure a human approved at a gate counts as passing; a QA gate
+    // that failed on coverage alone reports blocked with nothing failing
+    tests_pass: (result) => !!result && (!!result.approved || ((result.failed || 0) === 0 && result.blocked !== true)),
+    tests_fail: (result) => !!result && !result.approved && ((result.failed || 0) > 0 || result.blocked === true),
+    blocked: (result) => !!result && !result.approved &&
+        (result.blocked === true || (result.failed || 0) > 0)
+};
+
+class FlowExecutor extends EventEmitter {
+    constructor(topology, options = {}) {
+        super();
+
+        this.topology = topology;
+        this.handlers = options.handlers || {};
+        this.conditions = { ...DEFAULT_CONDITIONS, ...(options.conditions || {}) };
+        this.nodes = getTopologyNodes(topology);
+    }
+
+    evaluate(condition, result, context) {
+        const negated = condition.startsWith('!');
+        const name = negated ? condition.slice(1) : condition;
+        const predicate = this.conditions[name];
+
+        if (!predicate) {
+            throw new Error(`Unknown flow condition "${name}" in topology "${this.topology.name}"`);
+        }
+
+        const outcome = !!predicate(result, context);
+        return negated ? !outcome : outcome;
+    }
+
+    async run(context = {}) {
+        const results = context.results || {};
+        const flows = this.topology.flows;
+        const fired = new Map();
+        const states = new Map(this.nodes.map(node => [node, 'pending']));
+        const prepared = new Map();
+        const running = new Map();
+        const order = [];
+        const skipped = [];
+        let blocked = null;
+
+        const incoming = (node) => flows.filter(flow => flow.to === node && flow.from !== WILDCARD);
+        const handlerFor = (node) => {
+            const handler = this.handlers[node];
+            if (!handler) {
+                throw new Error(`No handler registered for phase "${node}"`);
+            }
+            return handler;
+        };
+
+        const activate = (node) => {
+            const handler = handlerFor(node);
+            if (!handler.prepare || prepared.has(node)) return;
+
+            const preparation = Promise.resolve().then(() =>
+                handler.prepare({ ...context, phase: node, results })
+            );
+            // Failures surface when the phase awaits its preparation
+            preparation.catch(() => {});
+            prepared.set(node, preparation);
+        };
+
+        const resolveFlows = (source, result) => {
+            flows.filter(flow => flow.from === source).forEach(flow => {
+                const didFire = this.evaluate(flow.condition, result, { phase: source, results });
+                fired.set(flow, didFire);
+
+                if (!didFire) return;
+
+                if (flow.to === ORCHESTRATOR) {
+                    blocked = blocked || { phase: source, condition: flow.condition };
+                } else {
+                    activate(flow.to);
+                }
+            });
+        };
+
+        const start = (node) => {
+            const handler = handlerFor(node);
+            activate(node);
+            states.set(node, 'running');
+            this.emit('phase:ready', { phase: node });
+
+            const execution = Promise.resolve()
+                .then(() => handler.run({
+                    ...context,
+                    phase: node,
+                    results,
+                    prepared: prepared.get(node)
+                }))
+                .then(result => ({ node, result }), error => ({ node, error }));
+
+            running.set(node, execution);
+        };
+
+        const schedule = () => {
+            let changed = true;
+
+            while (changed && !blocked) {
+                changed = false;
+
+                this.nodes.forEach(node => {
+                    if (states.get(node) !== 'pending') return;
+
+                    const inbound = incoming(node);
+                    if (!inbound.every(flow => fired.has(flow))) return;
+
+                    if (inbound.some(flow => fired.get(flow))) {
+                        start(node);
+                    } else {
+                        states.set(node, 'skipped');
+                        skipped.push(node);
+                        this.emit('phase:skipped', { phase: node, reason: 'conditions_not_met' });
+                        resolveFlows(node, undefined);
+                    }
+                    changed = true;
+                });
+            }
+        };
+
+        resolveFlows(ORCHESTRATOR, undefined);
+        schedule();
+
+        while (running.size > 0) {
+            const { node, result, error } = await Promise.race(running.values());
+            running.delete(node);
+
+            if (error) {
+                // Let in-flight phases settle before reporting the failure
+                await Promise.all(running.values());
+                error.phase = error.phase || node;
+                throw error;
+            }
+
+            states.set(node, 'completed');
+            results[node] = result;
+            order.push(node);
+
+            const wasBlocked = !!blocked;
+
+            resolveFlows(node, result);
+
+            const wildcard = flows.filter(flow => flow.from === WILDCARD);
+            wildcard.forEach(flow => {
+                if (!blocked && this.evaluate(flow.condition, result, { phase: node, results })) {
+                    blocked = { phase: node, condition: flow.condition };
+                }
+            });
+
+            if (blocked && !wasBlocked) {
+                this.emit('flow:blocked', blocked);
+            }
+
+            schedule();
+        }
+
+        // Phases that never became runnable because the flow stopped early
+        this.nodes.forEach(node => {
+            if (states.get(node) === 'pending') {
+                skipped.push(node);
+            }
+        });
+
+        return { results, order, skipped, blocked };
+    }
+}
+
+module.exports = { FlowExecutor, DEFAULT_CONDITIONS };
@@ -0,0 +1,187 @@
+/**
+ * Git Workspace - Materializes generated code into a local git worktree
+ * Each execution gets its own worktree on a dedicated branch (ueos/<executionId>
+ * by default) so its output can be reviewed, bisected and merged with plain git.
+ * Commits carry UEOS-Execution trailers: git log --grep 'UEOS-Execution: <id>'.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { runtimePath } = require('./paths');
+
+class GitCommandError extends Error {
+    constructor(args, error) {
+        super(`git ${args.join(' ')} failed: ${(error.stderr || error.message).trim()}`);
+        this.name = 'GitCommandError';
+        this.code = 'GIT_COMMAND_FAILED';
+        this.exitCode = error.code;
+    }
+}
+
+class GitWorkspace {
+    constructor(options = {}) {
+        this.repository = path.resolve(options.repository || process.cwd());
+        this.directory = path.resolve(options.directory || runtimePath('worktrees'));
+        this.branchPrefix = options.branchPrefix ?? 'ueos/';
+        this.baseRef = options.baseRef || 'HEAD';
+        this.author = options.author || { name: 'UEOS Swarm', email: 'ueos@localhost' };
+
+        // git worktree add/remove take repository-wide locks
+        this.pending = Promise.resolve();
+    }
+
+    serialize(operation) {
+        const result = this.pending.then(operation);
+        this.pending = result.catch(() => {});
+        return result;
+    }
+
+    branchFor(executionId) {
+        return `${this.branchPrefix}${executionId}`;
+    }
+
+    pathFor(executionId) {
+        return path.join(this.directory, executionId);
+    }
+
+    // Creates the worktree, or reuses it when an execution is resumed
+    prepare(executionId) {
+        return this.serialize(() => this.checkout(executionId));
+    }
+
+    async checkout(executionId) {
+        const worktree = this.pathFor(executionId);
+        const branch = this.branchFor(executionId);
+
+        // A linked worktree has a .git file pointing back at the repository
+        if (await exists(path.join(worktree, '.git'))) {
+            return { path: worktree, branch };
+        }
+
+        await fs.mkdir(this.directory, { recursive: true });
+
+        // Drop registrations of worktrees whose directory was deleted
+        await this.git(['worktree', 'prune']);
+
+        if (await this.branchExists(branch)) {
+            await this.git(['worktree', 'add', worktree, branch]);
+        } else {
+            await this.git(['worktree', 'add', '-b', branch, worktree, this.baseRef]);
+        }
+
+        return { path: worktree, branch };
+    }
+
+    async branchExists(branch) {
+        try {
+            await this.git(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`]);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // files: { 'src/index.js': '...' } or [{ path, content }]
+    async writeFiles(executionId, files) {
+        const worktree = this.pathFor(executionId);
+        const entries = Array.isArray(files)
+            ? files.map(file => [file.path, file.content])
+            : Object.entries(files);
+
+        const written = [];
+        for (const [relative, content] of entries) {
+            const target = path.resolve(worktree, relative);
+            if (path.isAbsolute(relative) || !target.startsWith(worktree + path.sep)) {
+                throw new Error(`Refusing to write ${relative} outside the worktree`);
+            }
+            if (target.split(path.sep).includes('.git')) {
+                throw new Error(`Refusing to write ${relative} inside .git`);
+            }
+
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await fs.writeFile(target, typeof content === 'string' || Buffer.isBuffer(content)
+                ? content
+                : JSON.stringify(content, null, 2));
+            written.push(relative);
+        }
+
+        return written;
+    }
+
+    // Stages everything and commits; returns null when nothing changed
+    async commit(executionId, subject, trailers = {}) {
+        const worktree = this.pathFor(executionId);
+
+        await this.git(['add', '-A'], worktree);
+        try {
+            await this.git(['diff', '--cached', '--quiet'], worktree);
+            return null;
+        } catch (error) {
+            if (error.exitCode !== 1) throw error;
+        }
+
+        const message = [
+            subject,
+            '',
+            ...Object.entries({ 'UEOS-Execution': executionId, ...trailers })
+                .filter(([, value]) => value !== undefined && value !== null)
+                .map(([key, value]) => `${key}: ${value}`)
+        ].join('\n');
+
+        await this.git([
+            '-c', `user.name=${this.author.name}`,
+            '-c', `user.email=${this.author.email}`,
+            'commit', '--no-verify', '-q', '-m', message
+        ], worktree);
+
+        const sha = await this.git(['rev-parse', 'HEAD'], worktree);
+        return { sha, branch: this.branchFor(executionId), subject };
+    }
+
+    // Removes the checkout; the branch and its commits stay unless asked
+    remove(executionId, { deleteBranch = false } = {}) {
+        return this.serialize(async () => {
+            await this.git(['worktree', 'remove', '--force', this.pathFor(executionId)]);
+            if (deleteBranch) {
+                await this.git(['branch', '-D', this.branchFor(executionId)]);
+            }
+        });
+    }
+
+    git(args, cwd = this.repository) {
+        return new Promise((resolve, reject) => {
+            execFile('git', args, { cwd, maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+                if (error) {
+                    error.stderr = stderr;
+                    reject(new GitCommandError(args, error));
+                } else {
+                    resolve(stdout.trim());
+                }
+            });
+        });
+    }
+}
+
+// Dev output comes as { files }, a bare path -> content map, or [{ path, content }]
+function extractFiles(code) {
+    if (!code || typeof code !== 'object') return null;
+    if (code.files && typeof code.files === 'object') return code.files;
+    if (Array.isArray(code)) {
+        return code.every(file => file && typeof file.path === 'string') ? code : null;
+    }
+
+    const values = Object.values(code);
+    return values.length > 0 && values.every(value => typeof value === 'string') ? code : null;
+}
+
+async function exists(file) {
+    try {
+        await fs.access(file);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = { GitWorkspace, GitCommandError, extractFiles };
@@ -0,0 +1,195 @@
+/**
+ * ChatOps - Drive executions from comments on UEOS-created issues and PRs
+ *   /ueos status             current state of the linked execution
+ *   /ueos retry              retry a blocked or failed execution
+ *   /ueos approve [guidance] approve the pending gate; the rest of the comment is guidance
+ *   /ueos abort [reason]     cancel a running execution or reject a pending gate
+ * Commands come from github:issue_comment.created deliveries; only users on
+ * the allowlist may run them, and every allowed command is answered with a
+ * comment (denied ones only with replyToDenied).
+ */
+
+const EventEmitter = require('events');
+const { findExecutionId } = require('./issue-markers');
+
+const COMMAND_PREFIX = '/ueos';
+const COMMANDS = ['status', 'retry', 'approve', 'abort'];
+
+// The first line starting with /ueos; anything after the verb is its argument
+function parseCommand(body, prefix = COMMAND_PREFIX) {
+    if (typeof body !== 'string') return null;
+
+    const lines = body.replace(/\r\n/g, '\n').split('\n');
+    const index = lines.findIndex(line => line.trim().startsWith(`${prefix} `) || line.trim() === prefix);
+    if (index === -1) return null;
+
+    const [, verb = '', ...rest] = lines[index].trim().split(/\s+/);
+    const argument = [rest.join(' '), ...lines.slice(index + 1)].join('\n').trim();
+
+    return { verb: verb.toLowerCase(), argument: argument || null, line: lines[index].trim() };
+}
+
+class ChatOps extends EventEmitter {
+    constructor(orchestrator, github, options = {}) {
+        super();
+
+        this.orchestrator = orchestrator;
+        this.github = github;
+        this.prefix = options.prefix || COMMAND_PREFIX;
+        this.allowedUsers = new Set((options.allowedUsers || []).map(user => user.toLowerCase()));
+        // e.g. ['OWNER', 'MEMBER'] to trust repository roles instead of names
+        this.allowedAssociations = new Set(options.allowedAssociations || []);
+        this.labels = options.labels || [...(github.config?.labels || []), 'ueos-blocked'];
+        // Off by default: anyone can comment, and every reply spends rate limit
+        this.replyToDenied = options.replyToDenied === true;
+
+        this.listener = (delivery) => {
+            this.handleComment(delivery.payload).catch(error => this.emit('failed', { error }));
+        };
+    }
+
+    start() {
+        this.github.on('github:issue_comment.created', this.listener);
+        return this;
+    }
+
+    stop() {
+        this.github.off('github:issue_comment.created', this.listener);
+    }
+
+    async handleComment(payload) {
+        const { issue, comment } = payload;
+        if (!issue || !comment) return null;
+
+        const author = comment.user || {};
+        if (author.type === 'Bot' || (this.github.login && author.login === this.github.login)) return null;
+
+        const command = parseCommand(comment.body, this.prefix);
+        if (!command || !this.createdByUeos(issue)) return null;
+
+        const context = { issue: issue.number, user: author.login, command: command.verb };
+
+        if (!this.isAllowed(author.login, comment.author_association)) {
+            this.emit('denied', context);
+            return this.replyToDenied
+                ? this.reply(issue.number, command, `@${author.login} is not allowed to run UEOS commands.`)
+                : null;
+        }
+
+        if (!COMMANDS.includes(command.verb)) {
+            return this.reply(issue.number, command,
+                `Unknown command. Available: ${COMMANDS.map(name => `\`${this.prefix} ${name}\``).join(', ')}.`);
+        }
+
+        const executionId = findExecutionId(issue.body);
+        if (!executionId) {
+            return this.reply(issue.number, command, 'This issue is not linked to a UEOS execution.');
+        }
+
+        let message;
+        try {
+            message = await this.run(command, executionId, author.login);
+            this.emit('command', { ...context, executionId, argument: command.argument });
+        } catch (error) {
+            this.emit('failed', { ...context, executionId, error });
+            message = `Could not ${command.verb} execution \`${executionId}\`: ${error.message}`;
+        }
+
+        return this.reply(issue.number, command, message);
+    }
+
+    createdByUeos(issue) {
+        if (this.github.login && issue.user?.login === this.github.login) return true;
+        return (issue.labels || []).some(label => this.labels.includes(typeof label === 'string' ? label : label.name));
+    }
+
+    isAllowed(login, association) {
+        return (!!login && this.allowedUsers.has(login.toLowerCase())) || this.allowedAssociations.has(association);
+    }
+
+    async run({ verb, argument }, executionId, user) {
+        switch (verb) {
+            case 'status':
+                return this.status(executionId);
+            case 'retry': {
+                const execution = await this.orchestrator.getExecution(executionId);
+                if (execution?.status === 'completed') {
+                    throw new Error('it already completed');
+                }
+                await this.accepted('execution:retry', executionId, () => this.orchestrator.retryExecution(executionId));
+                return `Retrying execution \`${executionId}\` as requested by @${user}.`;
+            }
+            case 'approve': {
+                const { gate } = await this.accepted('approval:granted', executionId, () =>
+                    this.orchestrator.approve(executionId, argument, { approver: user }));
+                return `Approved gate \`${gate?.id}\` for execution \`${executionId}\`${argument ? ' with guidance' : ''}; resuming.`;
+            }
+            case 'abort':
+                return this.abort(executionId, argument || `Aborted by @${user}`, user);
+            default:
+                throw new Error(`unknown command "${verb}"`);
+        }
+    }
+
+    async status(executionId) {
+        const execution = await this.orchestrator.getExecution(executionId);
+        if (!execution) {
+            throw new Error('no such execution');
+        }
+
+        const lines = [`Execution \`${executionId}\` is **${execution.status}**.`];
+        if (execution.completedPhases?.length) lines.push(`- Completed phases: ${execution.completedPhases.join(', ')}`);
+        if (execution.gate) lines.push(`- Waiting for approval at \`${execution.gate.id}\``);
+        if (execution.blocked) lines.push(`- Blocked at ${execution.blocked.phase}: ${execution.blocked.reason || execution.blocked.condition || ''}`);
+        if (execution.error) lines.push(`- Error: ${execution.error.message}`);
+        if (execution.retries) lines.push(`- Retries: ${execution.retries}`);
+        return lines.join('\n');
+    }
+
+    async abort(executionId, reason, user) {
+        if (this.orchestrator.cancelExecution(executionId, reason)) {
+            return `Cancelling execution \`${executionId}\`.`;
+        }
+
+        const execution = await this.orchestrator.getExecution(executionId);
+        if (execution?.status === 'awaiting_approval') {
+            await this.orchestrator.reject(executionId, reason, { approver: user });
+            return `Rejected gate \`${execution.gate.id}\`; execution \`${executionId}\` will not continue.`;
+        }
+
+        throw new Error(`it is not running or awaiting approval (status: ${execution?.status || 'unknown'})`);
+    }
+
+    // Retries and approvals run the whole execution; answer as soon as the
+    // orchestrator accepted the request, or with the error that refused it
+    accepted(event, executionId, start) {
+        return new Promise((resolve, reject) => {
+            const onEvent = (data) => {
+                if (data.executionId !== executionId) return;
+                this.orchestrator.off(event, onEvent);
+                resolve(data);
+            };
+            this.orchestrator.on(event, onEvent);
+
+            start().then(
+                result => {
+                    // Already settled by the event unless nothing needed doing
+                    this.orchestrator.off(event, onEvent);
+                    resolve({});
+                    this.emit('finished', { executionId, status: result?.status });
+                },
+                error => {
+                    this.orchestrator.off(event, onEvent);
+                    reject(error);
+                    this.emit('finished', { executionId, status: 'failed', error });
+                }
+            );
+        });
+    }
+
+    reply(issueNumber, command, message) {
+        return this.github.addComment(issueNumber, `> ${command.line}\n\n${message}`);
+    }
+}
+
+module.exports = { ChatOps, parseCommand, COMMANDS };
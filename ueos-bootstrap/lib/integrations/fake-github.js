@@ -0,0 +1,797 @@
+/**
+ * Fake GitHub - Offline stand-in for the Octokit client GitHubIntegration uses
+ * Implements the endpoints UEOS calls (issues, pulls, git refs, releases,
+ * webhooks, actions, search, projects and graphql) against an in-memory
+ * repository, optionally persisted to a JSON file so state survives restarts.
+ * Responses and errors follow GitHub's shapes: { status, url, headers, data },
+ * 404 Not Found for unknown resources and 422 Validation Failed for conflicts.
+ * Like Octokit, every call goes through request(), which hook.wrap() can wrap.
+ * Rate limits are counted per resource (core, search, graphql) and reported
+ * in X-RateLimit-* headers; GET responses carry an ETag and answer a matching
+ * If-None-Match with 304 Not Modified.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { resourceOf } = require('./request-throttle');
+
+const API_URL = 'https://api.github.com';
+const DOCS_URL = 'https://docs.github.com/rest';
+// Requests per window and window length in seconds, as on github.com
+const RATE_LIMITS = {
+    core: { limit: 5000, window: 3600 },
+    search: { limit: 30, window: 60 },
+    graphql: { limit: 5000, window: 3600 }
+};
+
+// octokit.<namespace>.<method> -> route, as in @octokit/plugin-rest-endpoint-methods
+const ENDPOINTS = {
+    users: {
+        getAuthenticated: 'GET /user'
+    },
+    issues: {
+        create: 'POST /repos/{owner}/{repo}/issues',
+        get: 'GET /repos/{owner}/{repo}/issues/{issue_number}',
+        update: 'PATCH /repos/{owner}/{repo}/issues/{issue_number}',
+        createComment: 'POST /repos/{owner}/{repo}/issues/{issue_number}/comments',
+        listComments: 'GET /repos/{owner}/{repo}/issues/{issue_number}/comments'
+    },
+    pulls: {
+        create: 'POST /repos/{owner}/{repo}/pulls',
+        get: 'GET /repos/{owner}/{repo}/pulls/{pull_number}',
+        requestReviewers: 'POST /repos/{owner}/{repo}/pulls/{pull_number}/requested_reviewers'
+    },
+    repos: {
+        createWebhook: 'POST /repos/{owner}/{repo}/hooks',
+        createRelease: 'POST /repos/{owner}/{repo}/releases'
+    },
+    git: {
+        getRef: 'GET /repos/{owner}/{repo}/git/ref/{ref}',
+        createRef: 'POST /repos/{owner}/{repo}/git/refs'
+    },
+    actions: {
+        listWorkflowRuns: 'GET /repos/{owner}/{repo}/actions/workflows/{workflow_id}/runs',
+        createWorkflowDispatch: 'POST /repos/{owner}/{repo}/actions/workflows/{workflow_id}/dispatches'
+    },
+    search: {
+        issuesAndPullRequests: 'GET /search/issues'
+    },
+    projects: {
+        createCard: 'POST /projects/columns/{column_id}/cards'
+    }
+};
+
+// Octokit's RequestError: name HttpError, status and the response body
+class FakeRequestError extends Error {
+    constructor(status, message, { errors, request } = {}) {
+        super(errors ? `${message}: ${JSON.stringify(errors)}` : message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.request = request;
+        this.response = {
+            status,
+            url: request && `${API_URL}${request.url}`,
+            headers: {},
+            data: { message, ...(errors ? { errors } : {}), documentation_url: DOCS_URL }
+        };
+    }
+}
+
+class FakeGraphqlError extends Error {
+    constructor(errors, request) {
+        super(`Request failed due to following response errors:\n${errors.map(error => ` - ${error.message}`).join('\n')}`);
+        this.name = 'GraphqlResponseError';
+        this.errors = errors;
+        this.request = request;
+        this.data = null;
+    }
+}
+
+function withHeaders(error, headers) {
+    if (error.response) error.response.headers = headers;
+    return error;
+}
+
+function notFound(request) {
+    return new FakeRequestError(404, 'Not Found', { request });
+}
+
+function validationFailed(request, errors) {
+    return new FakeRequestError(422, 'Validation Failed', { request, errors });
+}
+
+function timestamp() {
+    return new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+function randomSha() {
+    return crypto.randomBytes(20).toString('hex');
+}
+
+function emptyState() {
+    return { nextId: 1, repos: {} };
+}
+
+class FakeOctokit {
+    constructor(options = {}) {
+        this.file = options.file ? path.resolve(options.file) : null;
+        this.login = options.login || 'ueos-bot';
+        this.defaultBranch = options.defaultBranch || 'main';
+        this.workflows = options.workflows || ['ci.yml'];
+        this.repositories = options.repositories ||
+            (options.owner && options.repo ? [`${options.owner}/${options.repo}`] : []);
+
+        this.state = null;
+        this.loading = null;
+        this.pending = Promise.resolve();
+        this.wrappers = [];
+        // rateLimits: { search: 5 } lowers a limit to exercise throttling
+        this.limits = Object.fromEntries(Object.entries(RATE_LIMITS).map(([resource, { limit, window }]) =>
+            [resource, { limit: options.rateLimits?.[resource] ?? limit, window }]));
+        this.rateLimit = {};
+
+        // Octokit-compatible request hook, outermost wrapper first
+        this.hook = {
+            wrap: (name, wrapper) => {
+                if (name !== 'request') throw new Error(`Fake GitHub only supports the "request" hook, not "${name}"`);
+                this.wrappers.push(wrapper);
+            }
+        };
+
+        Object.entries(ENDPOINTS).forEach(([namespace, methods]) => {
+            this[namespace] = {};
+            Object.entries(methods).forEach(([method, route]) => {
+                this[namespace][method] = (params = {}) => this.request(route, params);
+            });
+        });
+
+        this.graphql = (query, variables = {}) => this.request('POST /graphql', { query, ...variables })
+            .then(response => response.data);
+    }
+
+    request(route, params = {}) {
+        const [method, url] = route.split(' ');
+        const options = { method, url, headers: {}, ...params };
+
+        const send = (requestOptions) => this.dispatch(requestOptions);
+        const wrapped = this.wrappers.reduceRight(
+            (next, wrapper) => (requestOptions) => wrapper(next, requestOptions),
+            send
+        );
+
+        return wrapped(options);
+    }
+
+    async dispatch(options) {
+        const state = await this.load();
+        const { method, url, headers, request, ...params } = options;
+        const route = `${method} ${url}`;
+        const context = { method, url: expand(url, params), params };
+
+        const handler = HANDLERS[route];
+        if (!handler) {
+            throw new FakeRequestError(404, `Fake GitHub does not implement ${route}`, { request: context });
+        }
+
+        const resource = resourceOf(url);
+        if (this.remaining(resource) === 0) {
+            throw withHeaders(new FakeRequestError(403, `API rate limit exceeded for user ${this.login}.`, { request: context }),
+                this.responseHeaders(resource));
+        }
+
+        let result;
+        try {
+            const repo = url.startsWith('/repos/') ? this.repository(state, params, context) : null;
+            result = handler.call(this, { state, repo, params, request: context });
+        } catch (error) {
+            this.consume(resource);
+            throw withHeaders(error, this.responseHeaders(resource));
+        }
+
+        const { status = 200, data } = result;
+        const response = {
+            status,
+            url: `${API_URL}${context.url}`,
+            headers: {},
+            data
+        };
+
+        if (method === 'GET') {
+            const etag = `W/"${crypto.createHash('sha1').update(JSON.stringify(data)).digest('hex')}"`;
+            // Conditional requests that hit do not count against the rate limit
+            if (headers?.['if-none-match'] === etag) {
+                throw withHeaders(new FakeRequestError(304, 'Not Modified', { request: context }),
+                    { ...this.responseHeaders(resource), etag });
+            }
+            response.headers.etag = etag;
+        } else {
+            await this.save();
+        }
+
+        this.consume(resource);
+        response.headers = { ...response.headers, ...this.responseHeaders(resource) };
+        return response;
+    }
+
+    // Opens a fresh window once the previous one has reset
+    remaining(resource) {
+        const now = Math.floor(Date.now() / 1000);
+        const { limit, window } = this.limits[resource];
+        if (!this.rateLimit[resource] || this.rateLimit[resource].reset <= now) {
+            this.rateLimit[resource] = { remaining: limit, reset: now + window };
+        }
+        return this.rateLimit[resource].remaining;
+    }
+
+    consume(resource) {
+        this.rateLimit[resource].remaining = Math.max(0, this.remaining(resource) - 1);
+    }
+
+    responseHeaders(resource) {
+        const { limit } = this.limits[resource];
+        const { remaining, reset } = this.rateLimit[resource];
+
+        return {
+            'x-github-media-type': 'github.v3; format=json',
+            'x-ratelimit-limit': String(limit),
+            'x-ratelimit-remaining': String(remaining),
+            'x-ratelimit-reset': String(reset),
+            'x-ratelimit-used': String(limit - remaining),
+            'x-ratelimit-resource': resource
+        };
+    }
+
+    // Unknown repositories answer 404 like private ones the token cannot see
+    repository(state, { owner, repo }, request) {
+        const name = `${owner}/${repo}`;
+        if (!state.repos[name]) {
+            if (!this.repositories.includes(name)) throw notFound(request);
+
+            state.repos[name] = {
+                owner,
+                name: repo,
+                nextNumber: 1,
+                issues: [],
+                comments: [],
+                refs: { [`refs/heads/${this.defaultBranch}`]: randomSha() },
+                releases: [],
+                hooks: [],
+                workflows: this.workflows.map((file, index) => ({ id: index + 1, path: `.github/workflows/${file}`, file })),
+                runs: []
+            };
+        }
+        return state.repos[name];
+    }
+
+    nextId(state) {
+        return state.nextId++;
+    }
+
+    get user() {
+        return { login: this.login, id: 1, node_id: 'U_fake1', type: 'User', html_url: `https://github.com/${this.login}` };
+    }
+
+    async load() {
+        if (this.state) return this.state;
+        if (!this.loading) {
+            this.loading = (async () => {
+                let state = emptyState();
+                if (this.file) {
+                    try {
+                        state = { ...state, ...JSON.parse(await fs.readFile(this.file, 'utf8')) };
+                    } catch (error) {
+                        if (error.code !== 'ENOENT') throw error;
+                    }
+                }
+                this.state = state;
+                return state;
+            })();
+        }
+        return this.loading;
+    }
+
+    save() {
+        if (!this.file) return Promise.resolve();
+
+        // Serialized so an older snapshot never overwrites a newer one
+        this.pending = this.pending.then(async () => {
+            const snapshot = JSON.stringify(this.state, null, 2);
+            await fs.mkdir(path.dirname(this.file), { recursive: true });
+            await fs.writeFile(`${this.file}.tmp`, snapshot);
+            await fs.rename(`${this.file}.tmp`, this.file);
+        });
+        return this.pending;
+    }
+}
+
+function expand(url, params) {
+    return url.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(params[name] ?? match));
+}
+
+function findIssue(repo, number, request, { pull } = {}) {
+    const issue = repo.issues.find(item => item.number === Number(number));
+    if (!issue || (pull && !issue.pull)) throw notFound(request);
+    return issue;
+}
+
+function htmlUrl(repo, kind, number) {
+    return `https://github.com/${repo.owner}/${repo.name}/${kind}/${number}`;
+}
+
+function labelObjects(labels = []) {
+    return labels.map(label => {
+        const name = typeof label === 'string' ? label : label.name;
+        return { id: hashId(name), name, color: 'ededed', default: false };
+    });
+}
+
+function hashId(value) {
+    return parseInt(crypto.createHash('sha1').update(String(value)).digest('hex').slice(0, 8), 16);
+}
+
+// Issue as returned by the issues and search APIs
+function issueData(repo, issue) {
+    return {
+        id: issue.id,
+        node_id: issue.nodeId,
+        number: issue.number,
+        url: `${API_URL}/repos/${repo.owner}/${repo.name}/issues/${issue.number}`,
+        html_url: htmlUrl(repo, issue.pull ? 'pull' : 'issues', issue.number),
+        title: issue.title,
+        body: issue.body,
+        state: issue.state,
+        state_reason: issue.stateReason,
+        locked: false,
+        labels: issue.labels,
+        assignees: issue.assignees.map(login => ({ login })),
+        assignee: issue.assignees[0] ? { login: issue.assignees[0] } : null,
+        milestone: issue.milestone ?? null,
+        comments: issue.comments,
+        user: issue.user,
+        author_association: 'OWNER',
+        created_at: issue.createdAt,
+        updated_at: issue.updatedAt,
+        closed_at: issue.closedAt,
+        ...(issue.pull ? { pull_request: { url: `${API_URL}/repos/${repo.owner}/${repo.name}/pulls/${issue.number}`, html_url: htmlUrl(repo, 'pull', issue.number) } } : {})
+    };
+}
+
+function pullData(repo, pull) {
+    const { pull_request: _, ...issue } = issueData(repo, pull);
+    return {
+        ...issue,
+        url: `${API_URL}/repos/${repo.owner}/${repo.name}/pulls/${pull.number}`,
+        html_url: htmlUrl(repo, 'pull', pull.number),
+        draft: pull.pull.draft,
+        merged: false,
+        mergeable_state: 'unknown',
+        maintainer_can_modify: pull.pull.maintainerCanModify,
+        head: { ref: pull.pull.head, sha: repo.refs[`refs/heads/${pull.pull.head}`], label: `${repo.owner}:${pull.pull.head}` },
+        base: { ref: pull.pull.base, sha: repo.refs[`refs/heads/${pull.pull.base}`], label: `${repo.owner}:${pull.pull.base}` },
+        requested_reviewers: pull.pull.reviewers.map(login => ({ login })),
+        auto_merge: pull.pull.autoMerge
+    };
+}
+
+function refData(repo, ref) {
+    return {
+        ref,
+        node_id: `REF_${hashId(ref)}`,
+        url: `${API_URL}/repos/${repo.owner}/${repo.name}/git/${ref}`,
+        object: {
+            sha: repo.refs[ref],
+            type: 'commit',
+            url: `${API_URL}/repos/${repo.owner}/${repo.name}/git/commits/${repo.refs[ref]}`
+        }
+    };
+}
+
+function newIssue(fake, state, repo, { title, body, labels, assignees, milestone }) {
+    const now = timestamp();
+    const id = fake.nextId(state);
+    const issue = {
+        id,
+        nodeId: `I_fake${id}`,
+        number: repo.nextNumber++,
+        title,
+        body: body ?? null,
+        state: 'open',
+        stateReason: null,
+        labels: labelObjects(labels),
+        assignees: Array.from(new Set(assignees || [])),
+        milestone: milestone ?? null,
+        comments: 0,
+        user: fake.user,
+        createdAt: now,
+        updatedAt: now,
+        closedAt: null,
+        pull: null
+    };
+    repo.issues.push(issue);
+    return issue;
+}
+
+function requireField(request, params, field, resource) {
+    if (params[field] === undefined || params[field] === null || params[field] === '') {
+        throw validationFailed(request, [{ resource, field, code: 'missing_field' }]);
+    }
+}
+
+const HANDLERS = {
+    'GET /user'() {
+        return { data: this.user };
+    },
+
+    'POST /repos/{owner}/{repo}/issues'({ state, repo, params, request }) {
+        requireField(request, params, 'title', 'Issue');
+        return { status: 201, data: issueData(repo, newIssue(this, state, repo, params)) };
+    },
+
+    'GET /repos/{owner}/{repo}/issues/{issue_number}'({ repo, params, request }) {
+        return { data: issueData(repo, findIssue(repo, params.issue_number, request)) };
+    },
+
+    'PATCH /repos/{owner}/{repo}/issues/{issue_number}'({ repo, params, request }) {
+        const issue = findIssue(repo, params.issue_number, request);
+
+        if (params.state !== undefined && !['open', 'closed'].includes(params.state)) {
+            throw validationFailed(request, [{ resource: 'Issue', field: 'state', code: 'invalid' }]);
+        }
+        if (params.title !== undefined) issue.title = params.title;
+        if (params.body !== undefined) issue.body = params.body;
+        if (params.labels !== undefined) issue.labels = labelObjects(params.labels);
+        if (params.assignees !== undefined) issue.assignees = Array.from(new Set(params.assignees));
+        if (params.milestone !== undefined) issue.milestone = params.milestone;
+        if (params.state !== undefined && params.state !== issue.state) {
+            issue.state = params.state;
+            issue.closedAt = params.state === 'closed' ? timestamp() : null;
+            issue.stateReason = params.state === 'closed' ? params.state_reason || 'completed' : 'reopened';
+        }
+        issue.updatedAt = timestamp();
+
+        return { data: issueData(repo, issue) };
+    },
+
+    'POST /repos/{owner}/{repo}/issues/{issue_number}/comments'({ state, repo, params, request }) {
+        const issue = findIssue(repo, params.issue_number, request);
+        requireField(request, params, 'body', 'IssueComment');
+
+        const id = this.nextId(state);
+        const now = timestamp();
+        const comment = {
+            id,
+            node_id: `IC_fake${id}`,
+            issue_number: issue.number,
+            body: params.body,
+            user: this.user,
+            author_association: 'OWNER',
+            created_at: now,
+            updated_at: now
+        };
+        repo.comments.push(comment);
+        issue.comments++;
+        issue.updatedAt = now;
+
+        return { status: 201, data: commentData(repo, comment) };
+    },
+
+    'GET /repos/{owner}/{repo}/issues/{issue_number}/comments'({ repo, params, request }) {
+        const issue = findIssue(repo, params.issue_number, request);
+        const comments = repo.comments.filter(comment => comment.issue_number === issue.number);
+        return { data: paginate(comments, params).map(comment => commentData(repo, comment)) };
+    },
+
+    'POST /repos/{owner}/{repo}/pulls'({ state, repo, params, request }) {
+        requireField(request, params, 'title', 'PullRequest');
+        requireField(request, params, 'head', 'PullRequest');
+        requireField(request, params, 'base', 'PullRequest');
+
+        // head may be given as owner:branch
+        const head = String(params.head).split(':').pop();
+        const errors = [];
+        if (!repo.refs[`refs/heads/${head}`]) errors.push({ resource: 'PullRequest', field: 'head', code: 'invalid' });
+        if (!repo.refs[`refs/heads/${params.base}`]) errors.push({ resource: 'PullRequest', field: 'base', code: 'invalid' });
+        if (errors.length > 0) throw validationFailed(request, errors);
+
+        // Commits are not modelled, so only identical branches have nothing to merge
+        if (head === params.base) {
+            throw validationFailed(request, [{ resource: 'PullRequest', code: 'custom', message: `No commits between ${params.base} and ${head}` }]);
+        }
+        const existing = repo.issues.find(issue => issue.pull && issue.state === 'open' &&
+            issue.pull.head === head && issue.pull.base === params.base);
+        if (existing) {
+            throw validationFailed(request, [{ resource: 'PullRequest', code: 'custom', message: `A pull request already exists for ${repo.owner}:${head}.` }]);
+        }
+
+        const pull = newIssue(this, state, repo, params);
+        pull.nodeId = `PR_fake${pull.id}`;
+        pull.pull = {
+            head,
+            base: params.base,
+            draft: !!params.draft,
+            maintainerCanModify: params.maintainer_can_modify !== false,
+            reviewers: [],
+            autoMerge: null
+        };
+
+        return { status: 201, data: pullData(repo, pull) };
+    },
+
+    'GET /repos/{owner}/{repo}/pulls/{pull_number}'({ repo, params, request }) {
+        return { data: pullData(repo, findIssue(repo, params.pull_number, request, { pull: true })) };
+    },
+
+    'POST /repos/{owner}/{repo}/pulls/{pull_number}/requested_reviewers'({ repo, params, request }) {
+        const pull = findIssue(repo, params.pull_number, request, { pull: true });
+        const reviewers = params.reviewers || [];
+        if (reviewers.includes(pull.user.login)) {
+            throw validationFailed(request, [{ resource: 'PullRequest', code: 'custom', message: 'Review cannot be requested from pull request author.' }]);
+        }
+
+        pull.pull.reviewers = Array.from(new Set([...pull.pull.reviewers, ...reviewers]));
+        return { status: 201, data: pullData(repo, pull) };
+    },
+
+    'POST /repos/{owner}/{repo}/hooks'({ state, repo, params, request }) {
+        if (!params.config?.url) {
+            throw validationFailed(request, [{ resource: 'Hook', field: 'url', code: 'missing_field' }]);
+        }
+        if (repo.hooks.some(hook => hook.config.url === params.config.url)) {
+            throw validationFailed(request, [{ resource: 'Hook', code: 'custom', message: 'Hook already exists on this repository' }]);
+        }
+
+        const id = this.nextId(state);
+        const now = timestamp();
+        const hook = {
+            type: 'Repository',
+            id,
+            name: params.name || 'web',
+            active: params.active !== false,
+            events: params.events || ['push'],
+            config: {
+                url: params.config.url,
+                content_type: params.config.content_type || 'form',
+                insecure_ssl: params.config.insecure_ssl || '0',
+                // GitHub never echoes the secret back
+                ...(params.config.secret ? { secret: '********' } : {})
+            },
+            created_at: now,
+            updated_at: now,
+            url: `${API_URL}/repos/${repo.owner}/${repo.name}/hooks/${id}`
+        };
+        repo.hooks.push(hook);
+
+        return { status: 201, data: hook };
+    },
+
+    'POST /repos/{owner}/{repo}/releases'({ state, repo, params, request }) {
+        requireField(request, params, 'tag_name', 'Release');
+        if (repo.releases.some(release => release.tag_name === params.tag_name)) {
+            throw validationFailed(request, [{ resource: 'Release', code: 'already_exists', field: 'tag_name' }]);
+        }
+
+        const target = params.target_commitish || this.defaultBranch;
+        const sha = repo.refs[`refs/heads/${target}`] || (/^[0-9a-f]{40}$/.test(target) ? target : null);
+        if (!sha) {
+            throw validationFailed(request, [{ resource: 'Release', code: 'invalid', field: 'target_commitish' }]);
+        }
+        if (!params.draft) {
+            repo.refs[`refs/tags/${params.tag_name}`] = repo.refs[`refs/tags/${params.tag_name}`] || sha;
+        }
+
+        const id = this.nextId(state);
+        const now = timestamp();
+        const release = {
+            id,
+            node_id: `RE_fake${id}`,
+            tag_name: params.tag_name,
+            target_commitish: target,
+            name: params.name ?? params.tag_name,
+            body: params.body || (params.generate_release_notes ? `**Full Changelog**: ${params.tag_name}` : ''),
+            draft: !!params.draft,
+            prerelease: !!params.prerelease,
+            author: this.user,
+            created_at: now,
+            published_at: params.draft ? null : now,
+            url: `${API_URL}/repos/${repo.owner}/${repo.name}/releases/${id}`,
+            html_url: `https://github.com/${repo.owner}/${repo.name}/releases/tag/${encodeURIComponent(params.tag_name)}`,
+            assets: []
+        };
+        repo.releases.push(release);
+
+        return { status: 201, data: release };
+    },
+
+    'GET /repos/{owner}/{repo}/git/ref/{ref}'({ repo, params, request }) {
+        const ref = `refs/${params.ref}`;
+        if (!repo.refs[ref]) throw notFound(request);
+        return { data: refData(repo, ref) };
+    },
+
+    'POST /repos/{owner}/{repo}/git/refs'({ repo, params, request }) {
+        requireField(request, params, 'ref', 'Reference');
+        requireField(request, params, 'sha', 'Reference');
+
+        if (!/^refs\/[^/]+\/.+/.test(params.ref)) {
+            throw new FakeRequestError(422, 'Reference name is invalid', { request });
+        }
+        if (!Object.values(repo.refs).includes(params.sha)) {
+            throw new FakeRequestError(422, 'Object does not exist', { request });
+        }
+        if (repo.refs[params.ref]) {
+            throw new FakeRequestError(422, 'Reference already exists', { request });
+        }
+
+        repo.refs[params.ref] = params.sha;
+        return { status: 201, data: refData(repo, params.ref) };
+    },
+
+    'GET /repos/{owner}/{repo}/actions/workflows/{workflow_id}/runs'({ repo, params, request }) {
+        const workflow = findWorkflow(repo, params.workflow_id, request);
+        const runs = repo.runs
+            .filter(run => run.workflow_id === workflow.id)
+            .filter(run => !params.branch || run.head_branch === params.branch)
+            .filter(run => !params.status || run.status === params.status)
+            .slice()
+            .reverse();
+
+        return { data: { total_count: runs.length, workflow_runs: paginate(runs, params) } };
+    },
+
+    'POST /repos/{owner}/{repo}/actions/workflows/{workflow_id}/dispatches'({ state, repo, params, request }) {
+        const workflow = findWorkflow(repo, params.workflow_id, request);
+        const ref = String(params.ref || '').replace(/^refs\/(heads|tags)\//, '');
+        const sha = repo.refs[`refs/heads/${ref}`] || repo.refs[`refs/tags/${ref}`];
+        if (!sha) {
+            throw new FakeRequestError(422, `No ref found for: ${params.ref}`, { request });
+        }
+
+        const id = this.nextId(state);
+        const now = timestamp();
+        repo.runs.push({
+            id,
+            name: workflow.file,
+            workflow_id: workflow.id,
+            head_branch: ref,
+            head_sha: sha,
+            event: 'workflow_dispatch',
+            status: 'queued',
+            conclusion: null,
+            run_number: repo.runs.filter(run => run.workflow_id === workflow.id).length + 1,
+            inputs: params.inputs || {},
+            created_at: now,
+            updated_at: now,
+            html_url: `https://github.com/${repo.owner}/${repo.name}/actions/runs/${id}`
+        });
+
+        return { status: 204, data: undefined };
+    },
+
+    'GET /search/issues'({ state, params, request }) {
+        requireField(request, params, 'q', 'Search');
+        const query = parseSearchQuery(params.q);
+
+        const items = Object.values(state.repos)
+            .filter(repo => !query.repo || `${repo.owner}/${repo.name}`.toLowerCase() === query.repo)
+            .flatMap(repo => repo.issues
+                .filter(issue => matchesSearch(issue, query))
+                .map(issue => issueData(repo, issue)));
+
+        const sort = { created: 'created_at', updated: 'updated_at', comments: 'comments' }[params.sort] || 'created_at';
+        const direction = params.order === 'asc' ? 1 : -1;
+        items.sort((a, b) => (a[sort] > b[sort] ? 1 : a[sort] < b[sort] ? -1 : a.number - b.number) * direction);
+
+        return {
+            data: {
+                total_count: items.length,
+                incomplete_results: false,
+                items: paginate(items, params).map(item => ({ ...item, score: 1 }))
+            }
+        };
+    },
+
+    'POST /projects/columns/{column_id}/cards'({ state, params, request }) {
+        if (!params.note && !(params.content_id && params.content_type)) {
+            throw validationFailed(request, [{ resource: 'ProjectCard', field: 'content_id', code: 'missing_field' }]);
+        }
+
+        const id = this.nextId(state);
+        const now = timestamp();
+        return {
+            status: 201,
+            data: {
+                id,
+                node_id: `PC_fake${id}`,
+                column_url: `${API_URL}/projects/columns/${params.column_id}`,
+                content_url: params.content_id ? `${API_URL}/issues/${params.content_id}` : undefined,
+                note: params.note ?? null,
+                archived: false,
+                creator: this.user,
+                created_at: now,
+                updated_at: now
+            }
+        };
+    },
+
+    'POST /graphql'({ state, params, request }) {
+        const { query, ...variables } = params;
+
+        if (/enablePullRequestAutoMerge/.test(query)) {
+            // Accepts a node id or, as UEOS passes it, a pull request number
+            const pull = Object.values(state.repos)
+                .flatMap(repo => repo.issues.map(issue => ({ repo, issue })))
+                .find(({ issue }) => issue.pull && (issue.nodeId === variables.pullRequestId || issue.number === Number(variables.pullRequestId)));
+            if (!pull) {
+                throw new FakeGraphqlError([{
+                    type: 'NOT_FOUND',
+                    path: ['enablePullRequestAutoMerge'],
+                    message: `Could not resolve to a node with the global id of '${variables.pullRequestId}'`
+                }], request);
+            }
+
+            const enabledAt = timestamp();
+            pull.issue.pull.autoMerge = { enabled_at: enabledAt, merge_method: String(variables.mergeMethod || 'MERGE').toLowerCase() };
+            return { data: { enablePullRequestAutoMerge: { pullRequest: { autoMergeRequest: { enabledAt } } } } };
+        }
+
+        throw new FakeGraphqlError([{ message: 'This query is not supported by the fake GitHub backend' }], request);
+    }
+};
+
+function commentData(repo, comment) {
+    return {
+        ...comment,
+        url: `${API_URL}/repos/${repo.owner}/${repo.name}/issues/comments/${comment.id}`,
+        html_url: `${htmlUrl(repo, 'issues', comment.issue_number)}#issuecomment-${comment.id}`
+    };
+}
+
+function findWorkflow(repo, workflowId, request) {
+    const workflow = repo.workflows.find(item => item.id === Number(workflowId) || item.file === workflowId);
+    if (!workflow) throw notFound(request);
+    return workflow;
+}
+
+function paginate(items, { per_page: perPage = 30, page = 1 }) {
+    const size = Math.min(Math.max(1, Number(perPage)), 100);
+    return items.slice((Number(page) - 1) * size, Number(page) * size);
+}
+
+// Supports repo:, is:, state:, label:, author:, in:title/body and free text
+// (quoted phrases stay together), which covers what UEOS searches for
+function parseSearchQuery(q) {
+    const query = { repo: null, type: null, state: null, labels: [], author: null, in: null, terms: [] };
+    const tokens = String(q).match(/(?:[^\s"]+:)?"[^"]*"|\S+/g) || [];
+
+    tokens.forEach(token => {
+        const [, qualifier, raw] = token.match(/^(\w+):(.+)$/) || [];
+        const value = raw?.replace(/^"|"$/g, '');
+
+        if (qualifier === 'repo') query.repo = value.toLowerCase();
+        else if (qualifier === 'is' && ['issue', 'pr'].includes(value)) query.type = value;
+        else if ((qualifier === 'is' || qualifier === 'state') && ['open', 'closed'].includes(value)) query.state = value;
+        else if (qualifier === 'label') query.labels.push(value.toLowerCase());
+        else if (qualifier === 'author') query.author = value.toLowerCase();
+        else if (qualifier === 'in') query.in = value.split(',');
+        else query.terms.push(token.replace(/^"|"$/g, '').toLowerCase());
+    });
+
+    return query;
+}
+
+function matchesSearch(issue, query) {
+    if (query.type === 'issue' && issue.pull) return false;
+    if (query.type === 'pr' && !issue.pull) return false;
+    if (query.state && issue.state !== query.state) return false;
+    if (query.author && issue.user.login.toLowerCase() !== query.author) return false;
+
+    const labels = issue.labels.map(label => label.name.toLowerCase());
+    if (!query.labels.every(label => labels.includes(label))) return false;
+
+    const fields = query.in || ['title', 'body'];
+    const text = fields.map(field => issue[field] || '').join('\n').toLowerCase();
+    return query.terms.every(term => text.includes(term));
+}
+
+module.exports = { FakeOctokit, FakeRequestError, FakeGraphqlError, ENDPOINTS };
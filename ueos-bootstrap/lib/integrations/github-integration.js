@@ -3,9 +3,18 @@
  * Handles all GitHub operations including issues, PRs, webhooks, and repository management
  */
 
-const { Octokit } = require('@octokit/rest');
-const { createAppAuth } = require('@octokit/auth-app');
 const EventEmitter = require('events');
+const { WebhookReceiver } = require('./webhook-receiver');
+const { RequestThrottle } = require('./request-throttle');
+const {
+    executionMarker,
+    fingerprintMarker,
+    occurrencesMarker,
+    replaceMarker,
+    findOccurrences,
+    EXECUTION_MARKER,
+    OCCURRENCES_MARKER
+} = require('./issue-markers');
 
 class GitHubIntegration extends EventEmitter {
     constructor(config = {}) {
@@ -19,20 +28,72 @@ class GitHubIntegration extends EventEmitter {
             autoAssign: config.autoAssign !== false,
             labels: config.labels || ['ueos-generated'],
             webhookSecret: config.webhookSecret || process.env.GITHUB_WEBHOOK_SECRET,
+            // 'octokit' talks to GitHub; 'fake' is the offline backend in fake-github.js
+            backend: config.backend || process.env.UEOS_GITHUB_BACKEND || 'octokit',
+            // Closed duplicates younger than this are reopened instead of filed again
+            reopenWindow: config.reopenWindow ?? 7 * 24 * 60 * 60 * 1000,
             ...config
         };
 
         this.octokit = null;
+        this.login = null;
         this.webhooks = new Map();
         this.issueTemplates = new Map();
-
-        this.initialize();
+        this.webhookReceiver = null;
+        this.requestThrottle = null;
+        // issue number -> auto-response config
+        this.autoResponses = new Map();
+
+        this.ready = this.initialize();
+        // Awaiting ready still sees the error; without this, an integration
+        // nobody awaits would crash the process with an unhandled rejection
+        this.ready.catch(error => this.emit('initialize:failed', { error }));
     }
 
     async initialize() {
+        this.octokit = this.createClient();
+
+        // Every request, including GraphQL, is queued, throttled and cached;
+        // requests: false bypasses the layer
+        if (this.config.requests !== false) {
+            this.requestThrottle = new RequestThrottle(this.config.requests).install(this.octokit);
+            this.requestThrottle.on('throttled', info => this.emit('ratelimit:throttled', info));
+            this.requestThrottle.on('exhausted', info => this.emit('ratelimit:exhausted', info));
+        }
+
+        // Verify authentication
+        await this.verifyAuthentication();
+
+        // Load issue templates
+        await this.loadIssueTemplates();
+
+        if (this.config.webhookReceiver?.enabled) {
+            await this.startWebhookReceiver(this.config.webhookReceiver);
+        }
+
+        this.emit('initialized');
+    }
+
+    createClient() {
+        if (this.config.backend === 'fake') {
+            // Offline: no token, no network; state lives in memory or fakeGitHub.file
+            const { FakeOctokit } = require('./fake-github');
+            return new FakeOctokit({
+                owner: this.config.owner,
+                repo: this.config.repo,
+                ...this.config.fakeGitHub
+            });
+        }
+        if (this.config.backend !== 'octokit') {
+            throw new Error(`Unknown GitHub backend "${this.config.backend}"; use "octokit" or "fake"`);
+        }
+
+        // Loaded on demand so the fake backend works without Octokit installed
+        const { Octokit } = require('@octokit/rest');
+
         // Initialize Octokit client
         if (this.config.token) {
-            this.octokit = new Octokit({
+            return new Octokit({
                 auth: this.config.token,
                 userAgent: 'UEOS/1.0.0',
                 timeZone: 'America/New_York',
@@ -40,7 +101,8 @@ class GitHubIntegration extends EventEmitter {
             });
         } else if (this.config.appId && this.config.privateKey) {
             // GitHub App authentication
-            this.octokit = new Octokit({
+            const { createAppAuth } = require('@octokit/auth-app');
+            return new Octokit({
                 authStrategy: createAppAuth,
                 auth: {
                     appId: this.config.appId,
@@ -48,22 +110,16 @@ class GitHubIntegration extends EventEmitter {
                     installationId: this.config.installationId
                 }
             });
-        } else {
-            throw new Error('GitHub authentication not configured');
         }
 
-        // Verify authentication
-        await this.verifyAuthentication();
-
-        // Load issue templates
-        await this.loadIssueTemplates();
-
-        this.emit('initialized');
+        throw new Error('GitHub authentication not configured');
     }
 
     async verifyAuthentication() {
         try {
             const { data } = await this.octokit.users.getAuthenticated();
+            // Remembered so our own comments never trigger auto-responses
+            this.login = data.login;
             this.emit('authenticated', { user: data.login });
             return true;
         } catch (error) {
@@ -72,12 +128,24 @@ class GitHubIntegration extends EventEmitter {
         }
     }
 
+    // Issues created with a fingerprint (see issueFingerprint) carry it; a
+    // repeat of an open (or recently closed) issue is recorded on it instead
+    // of filing a new one. Without a fingerprint a new issue is always filed.
     async createIssue(options) {
+        const fingerprint = options.fingerprint || null;
+
+        if (fingerprint) {
+            const existing = await this.findDuplicateIssue(fingerprint);
+            if (existing) {
+                return this.recordOccurrence(existing, options);
+            }
+        }
+
         const issueData = {
             owner: options.owner || this.config.owner,
             repo: options.repo || this.config.repo,
             title: options.title,
-            body: this.formatIssueBody(options),
+            body: this.formatIssueBody({ ...options, fingerprint }),
             labels: [...this.config.labels, ...(options.labels || [])],
             assignees: this.determineAssignees(options),
             milestone: options.milestone
@@ -110,9 +178,64 @@ class GitHubIntegration extends EventEmitter {
         }
     }
 
+    // An open issue with the fingerprint, else one closed within reopenWindow;
+    // a failed search never stops the issue from being filed
+    async findDuplicateIssue(fingerprint) {
+        let matches;
+        try {
+            matches = await this.searchIssues(`is:issue "ueos:fingerprint ${fingerprint}" in:body`, { sort: 'updated' });
+        } catch (error) {
+            this.emit('issue:dedupe:failed', { fingerprint, error });
+            return null;
+        }
+
+        const open = matches.find(issue => issue.state === 'open');
+        if (open) return open;
+
+        const cutoff = Date.now() - this.config.reopenWindow;
+        return matches.find(issue => issue.closed_at && Date.parse(issue.closed_at) >= cutoff) || null;
+    }
+
+    async recordOccurrence(issue, options) {
+        const occurrences = findOccurrences(issue.body) + 1;
+        const executionId = options.executionId || options.workflow?.executionId;
+        const reopened = issue.state === 'closed';
+
+        // ChatOps commands on the issue act on the latest execution
+        let body = replaceMarker(issue.body, OCCURRENCES_MARKER, occurrencesMarker(occurrences));
+        if (executionId) body = replaceMarker(body, EXECUTION_MARKER, executionMarker(executionId));
+
+        const updated = await this.updateIssue(issue.number, { body, ...(reopened ? { state: 'open' } : {}) });
+
+        const details = [
+            `**Occurrence #${occurrences}**${reopened ? ' — reopened because this happened again' : ''}`,
+            executionId && `- **Execution ID:** ${executionId}`,
+            (options.phase || options.workflow?.phase) && `- **Phase:** ${options.phase || options.workflow.phase}`,
+            options.error && `- **Error:** ${options.error.message}`,
+            `- **Timestamp:** ${new Date().toISOString()}`
+        ].filter(Boolean);
+        await this.addComment(issue.number, details.join('\n'));
+
+        this.emit('issue:deduplicated', {
+            number: issue.number,
+            url: issue.html_url,
+            occurrences,
+            reopened
+        });
+
+        return { ...updated, duplicate: true, occurrences, reopened };
+    }
+
     formatIssueBody(options) {
+        const executionId = options.executionId || options.workflow?.executionId;
+        const markers = [
+            executionId && executionMarker(executionId),
+            options.fingerprint && fingerprintMarker(options.fingerprint)
+        ].filter(Boolean).join('\n');
+
         if (options.template && this.issueTemplates.has(options.template)) {
-            return this.renderTemplate(options.template, options);
+            const body = this.renderTemplate(options.template, options);
+            return markers ? `${body}\n\n${markers}` : body;
         }
 
         const sections = [];
@@ -159,6 +282,10 @@ class GitHubIntegration extends EventEmitter {
         // Footer
         sections.push(`\n---\n*This issue was automatically generated by UEOS v${this.config.version || '1.0.0'}*`);
 
+        if (markers) {
+            sections.push(markers);
+        }
+
         return sections.join('\n\n');
     }
 
@@ -246,6 +373,10 @@ class GitHubIntegration extends EventEmitter {
         // Footer
         sections.push(`\n---\n*PR generated by UEOS*`);
 
+        if (options.executionId) {
+            sections.push(executionMarker(options.executionId));
+        }
+
         return sections.join('\n\n');
     }
 
@@ -425,14 +556,87 @@ class GitHubIntegration extends EventEmitter {
     }
 
     async setupAutoResponse(issueNumber, responseConfig) {
-        // Set up automated responses to issue comments
-        const webhook = await this.setupWebhook({
-            url: responseConfig.url,
-            events: ['issue_comment'],
-            secret: responseConfig.secret
+        // Set up automated responses to issue comments; the webhook is only
+        // registered once per URL
+        let webhook = responseConfig.url &&
+            Array.from(this.webhooks.values()).find(hook => hook.config?.url === responseConfig.url);
+        if (responseConfig.url && !webhook) {
+            webhook = await this.setupWebhook({
+                url: responseConfig.url,
+                events: ['issue_comment'],
+                secret: responseConfig.secret
+            });
+        }
+
+        this.autoResponses.set(issueNumber, responseConfig);
+        this.emit('autoresponse:setup', { issueNumber, webhookId: webhook?.id });
+    }
+
+    // Receives deliveries for the webhooks registered by setupWebhook() and
+    // re-emits them as github:<event> and github:<event>.<action>
+    async startWebhookReceiver(options = {}) {
+        if (this.webhookReceiver) return this.webhookReceiver.address();
+
+        const receiver = new WebhookReceiver({
+            ...options,
+            secret: options.secret || this.config.webhookSecret
         });
 
-        this.emit('autoresponse:setup', { issueNumber, webhookId: webhook.id });
+        receiver.on('delivery', (delivery) => this.handleWebhookDelivery(delivery));
+        receiver.on('rejected', ({ status, error }) => this.emit('webhook:rejected', { status, error }));
+
+        const address = await receiver.start();
+        this.webhookReceiver = receiver;
+        this.emit('webhook:listening', address);
+        return address;
+    }
+
+    async stopWebhookReceiver() {
+        if (!this.webhookReceiver) return;
+
+        await this.webhookReceiver.stop();
+        this.webhookReceiver = null;
+    }
+
+    handleWebhookDelivery({ id, event, action, payload, hookId }) {
+        const delivery = {
+            id,
+            event,
+            action,
+            hookId,
+            repository: payload.repository?.full_name,
+            sender: payload.sender?.login,
+            payload
+        };
+
+        this.emit('webhook:received', { id, event, action });
+        this.emit(`github:${event}`, delivery);
+        if (action) {
+            this.emit(`github:${event}.${action}`, delivery);
+        }
+
+        if (event === 'issue_comment' && action === 'created') {
+            this.respondToComment(payload).catch(error => this.emit('autoresponse:failed', { id, error }));
+        }
+    }
+
+    async respondToComment(payload) {
+        const issueNumber = payload.issue?.number;
+        const responseConfig = this.autoResponses.get(issueNumber);
+        if (!responseConfig || !payload.comment) return null;
+
+        // Never answer ourselves or other bots
+        const author = payload.comment.user || {};
+        if (author.type === 'Bot' || (this.login && author.login === this.login)) return null;
+
+        const reply = typeof responseConfig.respond === 'function'
+            ? await responseConfig.respond(payload.comment, payload)
+            : responseConfig.message;
+        if (!reply) return null;
+
+        const comment = await this.addComment(issueNumber, reply);
+        this.emit('autoresponse:sent', { issueNumber, commentId: comment.id, inReplyTo: payload.comment.id });
+        return comment;
     }
 
     async loadIssueTemplates() {
@@ -454,7 +658,7 @@ class GitHubIntegration extends EventEmitter {
             }
         };
 
-        templates.forEach((template, name) => {
+        Object.entries(templates).forEach(([name, template]) => {
             this.issueTemplates.set(name, template);
         });
     }
@@ -545,6 +749,9 @@ class GitHubIntegration extends EventEmitter {
     getMetrics() {
         return {
             webhooks: this.webhooks.size,
+            webhookReceiver: this.webhookReceiver ? this.webhookReceiver.getStats() : null,
+            autoResponses: this.autoResponses.size,
+            rateLimit: this.requestThrottle ? this.requestThrottle.getStats() : null,
             templates: this.issueTemplates.size,
             authenticated: !!this.octokit
         };
@@ -0,0 +1,90 @@
+/**
+ * Issue Markers - Hidden HTML comments UEOS leaves in issue and PR bodies
+ * GitHub does not render them, but they survive edits and let incoming
+ * comments be traced back to the execution that opened the issue, and
+ * repeated escalations be matched to the issue already tracking them.
+ */
+
+const crypto = require('crypto');
+
+const EXECUTION_MARKER = /<!--\s*ueos:execution\s+(\S+)\s*-->/;
+const FINGERPRINT_MARKER = /<!--\s*ueos:fingerprint\s+(\S+)\s*-->/;
+const OCCURRENCES_MARKER = /<!--\s*ueos:occurrences\s+(\d+)\s*-->/;
+
+// Frames beyond this rarely tell two failures apart
+const MAX_FRAMES = 10;
+
+function executionMarker(executionId) {
+    return `<!-- ueos:execution ${executionId} -->`;
+}
+
+function findExecutionId(body) {
+    return (typeof body === 'string' && body.match(EXECUTION_MARKER)?.[1]) || null;
+}
+
+function fingerprintMarker(fingerprint) {
+    return `<!-- ueos:fingerprint ${fingerprint} -->`;
+}
+
+function findFingerprint(body) {
+    return (typeof body === 'string' && body.match(FINGERPRINT_MARKER)?.[1]) || null;
+}
+
+function occurrencesMarker(count) {
+    return `<!-- ueos:occurrences ${count} -->`;
+}
+
+// Issues without the marker have been seen once
+function findOccurrences(body) {
+    const count = typeof body === 'string' && body.match(OCCURRENCES_MARKER)?.[1];
+    return count ? Number(count) : 1;
+}
+
+// Sets the marker in place, or appends it to bodies that lack it
+function replaceMarker(body, pattern, marker) {
+    const text = body || '';
+    return pattern.test(text) ? text.replace(pattern, marker) : `${text}\n${marker}`;
+}
+
+// Keeps what identifies a failure and drops what differs between runs of
+// it: paths, line and column numbers, ids, hashes, numbers and node internals
+function normalizeStack(stack) {
+    if (!stack) return '';
+
+    return String(stack)
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !/\(node:|at node:|node_modules[\\/]/.test(line))
+        .slice(0, MAX_FRAMES + 1)
+        .map(line => line
+            .replace(/file:\/\/\/?/g, '')
+            .replace(/(?:[A-Za-z]:)?(?:[\\/][^\\/\s:()]+)+[\\/]([^\\/\s:()]+)/g, '$1')
+            .replace(/:\d+(?::\d+)?(?=\)|$)/g, '')
+            .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<id>')
+            .replace(/\b(?=[0-9a-f]*\d)[0-9a-f]{7,}\b/gi, '<hex>')
+            .replace(/\b\w+_\d{6,}\w*\b/g, '<id>')
+            .replace(/\d+/g, '<n>')
+            .replace(/\s+/g, ' '))
+        .join('\n');
+}
+
+function issueFingerprint({ reason, phase, stack } = {}) {
+    return crypto.createHash('sha256')
+        .update([reason || '', phase || '', normalizeStack(stack)].join('\n'))
+        .digest('hex')
+        .slice(0, 16);
+}
+
+module.exports = {
+    executionMarker,
+    findExecutionId,
+    fingerprintMarker,
+    findFingerprint,
+    occurrencesMarker,
+    findOccurrences,
+    replaceMarker,
+    normalizeStack,
+    issueFingerprint,
+    EXECUTION_MARKER,
+    OCCURRENCES_MARKER
+};
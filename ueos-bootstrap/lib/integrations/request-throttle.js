@@ -0,0 +1,262 @@
+/**
+ * Request Throttle - Rate-limit aware queue in front of every GitHub request
+ * Installed as an Octokit request hook. Requests wait in a queue, run at most
+ * maxConcurrent at a time and mutations are spaced writeInterval apart (GitHub's
+ * advice against secondary limits). X-RateLimit-* headers pause a resource
+ * (core, search, graphql) once it runs dry; 403/429 rate-limit responses are
+ * retried after Retry-After, the reset time or an exponential backoff. Waits
+ * longer than maxWait fail with RateLimitError instead.
+ * GET responses are cached by ETag and revalidated with If-None-Match; a 304
+ * does not count against the rate limit.
+ */
+
+const EventEmitter = require('events');
+
+const WRITE_METHODS = ['POST', 'PATCH', 'PUT', 'DELETE'];
+
+class RateLimitError extends Error {
+    constructor(resource, until) {
+        super(`GitHub ${resource} rate limit is exhausted until ${new Date(until).toISOString()}`);
+        this.name = 'RateLimitError';
+        this.code = 'RATE_LIMITED';
+        this.resource = resource;
+        this.resetAt = new Date(until).toISOString();
+    }
+}
+
+function resourceOf(url = '') {
+    if (url.startsWith('/search/')) return 'search';
+    if (url === '/graphql') return 'graphql';
+    return 'core';
+}
+
+function header(headers = {}, name) {
+    const value = headers[name] ?? headers[name.toLowerCase()];
+    return value === undefined ? undefined : String(value);
+}
+
+class RequestThrottle extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.maxConcurrent = options.maxConcurrent || 4;
+        this.writeInterval = options.writeInterval ?? 1000;
+        this.maxRetries = options.maxRetries ?? 3;
+        // Longer waits fail the request instead of stalling the caller
+        this.maxWait = options.maxWait ?? 15 * 60 * 1000;
+        this.backoff = options.backoff ?? 60000;
+        // Requests left in reserve before a resource is paused until its reset
+        this.reserve = options.reserve ?? 0;
+        this.cacheEnabled = options.cache !== false;
+        this.maxCacheEntries = options.maxCacheEntries || 500;
+
+        this.queue = [];
+        this.inFlight = 0;
+        this.nextWriteAt = 0;
+        this.blockedUntil = {};
+        this.rateLimits = {};
+        this.cache = new Map();
+        this.timer = null;
+        this.stats = { requests: 0, retries: 0, cacheHits: 0, throttled: 0, failed: 0 };
+    }
+
+    install(octokit) {
+        octokit.hook.wrap('request', (request, options) => this.schedule(request, options));
+        return this;
+    }
+
+    schedule(request, options) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({
+                request,
+                options,
+                resource: resourceOf(options.url),
+                write: WRITE_METHODS.includes(String(options.method).toUpperCase()),
+                retries: 0,
+                resolve,
+                reject
+            });
+            this.pump();
+        });
+    }
+
+    // Starts every runnable job; a paused resource does not hold up the others
+    pump() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const now = Date.now();
+        let wakeAt = Infinity;
+
+        for (let index = 0; index < this.queue.length && this.inFlight < this.maxConcurrent;) {
+            const job = this.queue[index];
+            const blockedUntil = this.blockedUntil[job.resource] || 0;
+
+            // Same limit as retries: fail rather than stall the caller for up to an hour
+            if (blockedUntil - now > this.maxWait) {
+                this.queue.splice(index, 1);
+                this.stats.failed++;
+                job.reject(new RateLimitError(job.resource, blockedUntil));
+                continue;
+            }
+
+            const readyAt = Math.max(blockedUntil, job.write ? this.nextWriteAt : 0);
+
+            if (readyAt > now) {
+                wakeAt = Math.min(wakeAt, readyAt);
+                index++;
+                continue;
+            }
+
+            this.queue.splice(index, 1);
+            if (job.write) this.nextWriteAt = now + this.writeInterval;
+            this.run(job);
+        }
+
+        if (this.queue.length > 0 && wakeAt !== Infinity && this.inFlight < this.maxConcurrent) {
+            this.timer = setTimeout(() => this.pump(), wakeAt - now);
+        }
+    }
+
+    async run(job) {
+        this.inFlight++;
+        this.stats.requests++;
+
+        try {
+            job.resolve(await this.send(job));
+        } catch (error) {
+            const wait = this.retryDelay(job, error);
+            if (wait === null) {
+                this.stats.failed++;
+                job.reject(error);
+            } else {
+                job.retries++;
+                this.stats.retries++;
+                this.stats.throttled++;
+                this.blockedUntil[job.resource] = Math.max(this.blockedUntil[job.resource] || 0, Date.now() + wait);
+                this.emit('throttled', {
+                    resource: job.resource,
+                    status: error.status,
+                    wait,
+                    attempt: job.retries,
+                    route: `${job.options.method} ${job.options.url}`
+                });
+                // Retried before anything queued behind it
+                this.queue.unshift(job);
+            }
+        } finally {
+            this.inFlight--;
+            this.pump();
+        }
+    }
+
+    async send({ request, options }) {
+        const key = this.cacheEnabled && String(options.method).toUpperCase() === 'GET' ? cacheKey(options) : null;
+        const cached = key && this.cache.get(key);
+        const headers = cached
+            ? { ...options.headers, 'if-none-match': cached.etag }
+            : options.headers;
+
+        try {
+            const response = await request({ ...options, headers });
+            this.observe(response.headers);
+
+            const etag = header(response.headers, 'etag');
+            if (key && etag) this.remember(key, { etag, response: copyResponse(response) });
+            return response;
+        } catch (error) {
+            this.observe(error.response?.headers);
+
+            if (error.status === 304 && cached) {
+                this.stats.cacheHits++;
+                this.remember(key, cached);
+                return copyResponse(cached.response);
+            }
+            throw error;
+        }
+    }
+
+    remember(key, entry) {
+        // Re-inserting keeps the Map in least-recently-used order
+        this.cache.delete(key);
+        this.cache.set(key, entry);
+        if (this.cache.size > this.maxCacheEntries) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+
+    observe(headers) {
+        const limit = header(headers, 'x-ratelimit-limit');
+        if (limit === undefined) return;
+
+        const resource = header(headers, 'x-ratelimit-resource') || 'core';
+        const remaining = Number(header(headers, 'x-ratelimit-remaining'));
+        const reset = Number(header(headers, 'x-ratelimit-reset')) * 1000;
+
+        this.rateLimits[resource] = {
+            limit: Number(limit),
+            remaining,
+            used: Number(header(headers, 'x-ratelimit-used') ?? Number(limit) - remaining),
+            reset: new Date(reset).toISOString()
+        };
+
+        if (remaining <= this.reserve && reset > Date.now()) {
+            this.blockedUntil[resource] = Math.max(this.blockedUntil[resource] || 0, reset);
+            this.emit('exhausted', { resource, reset: this.rateLimits[resource].reset });
+        }
+    }
+
+    // Milliseconds to wait before retrying, or null when the error is final
+    retryDelay(job, error) {
+        const headers = error.response?.headers;
+        const message = String(error.response?.data?.message || error.message || '');
+        const limited = error.status === 429 ||
+            (error.status === 403 && (header(headers, 'x-ratelimit-remaining') === '0' ||
+                header(headers, 'retry-after') !== undefined || /rate limit|abuse/i.test(message)));
+
+        if (!limited || job.retries >= this.maxRetries) return null;
+
+        let wait;
+        const retryAfter = header(headers, 'retry-after');
+        if (retryAfter !== undefined) {
+            wait = Number(retryAfter) * 1000;
+        } else if (header(headers, 'x-ratelimit-remaining') === '0') {
+            wait = Number(header(headers, 'x-ratelimit-reset')) * 1000 - Date.now();
+        } else {
+            // Secondary limits without Retry-After: back off exponentially
+            wait = this.backoff * 2 ** job.retries;
+        }
+
+        wait = Math.max(0, Number.isFinite(wait) ? wait : this.backoff);
+        return wait <= this.maxWait ? wait : null;
+    }
+
+    getStats() {
+        const now = Date.now();
+        return {
+            ...this.stats,
+            queued: this.queue.length,
+            inFlight: this.inFlight,
+            cacheSize: this.cache.size,
+            resources: { ...this.rateLimits },
+            pausedUntil: Object.entries(this.blockedUntil)
+                .filter(([, until]) => until > now)
+                .reduce((acc, [resource, until]) => {
+                    acc[resource] = new Date(until).toISOString();
+                    return acc;
+                }, {})
+        };
+    }
+}
+
+// Callers own what they get back; changing it must not change the cache
+function copyResponse(response) {
+    return { ...response, headers: { ...response.headers }, data: structuredClone(response.data) };
+}
+
+function cacheKey({ method, url, headers, request, mediaType, ...params }) {
+    const sorted = Object.keys(params).sort().map(name => [name, params[name]]);
+    return JSON.stringify([String(method).toUpperCase(), url, sorted, headers?.accept]);
+}
+
+module.exports = { RequestThrottle, RateLimitError, resourceOf };
@@ -0,0 +1,196 @@
+/**
+ * Webhook Receiver - Local HTTP endpoint for GitHub webhook deliveries
+ * Every delivery must carry an X-Hub-Signature-256 HMAC of the raw body made
+ * with the webhook secret; delivery ids seen within replayWindow are refused
+ * so a captured request cannot be played back. Verified deliveries are
+ * emitted as 'delivery' events: { id, event, action, payload, hookId }.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const MAX_BODY_BYTES = 25 * 1024 * 1024; // GitHub caps payloads at 25 MB
+
+class WebhookError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'WebhookError';
+        this.status = status;
+    }
+}
+
+function sign(secret, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function verifySignature(secret, body, signature) {
+    if (typeof signature !== 'string' || !signature.startsWith('sha256=')) return false;
+
+    const expected = Buffer.from(sign(secret, body));
+    const actual = Buffer.from(signature);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+class WebhookReceiver extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        if (!options.secret) {
+            throw new Error('A webhook secret is required to verify deliveries');
+        }
+
+        this.secret = options.secret;
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port ?? 9466;
+        this.path = options.path || '/webhooks/github';
+        this.replayWindow = options.replayWindow || 24 * 60 * 60 * 1000;
+        this.maxDeliveries = options.maxDeliveries || 10000;
+
+        this.server = null;
+        // delivery id -> time received, oldest first
+        this.deliveries = new Map();
+        this.stats = { received: 0, accepted: 0, rejected: 0, replayed: 0 };
+    }
+
+    async start() {
+        if (this.server) return this.address();
+
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => this.reject(res, error));
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+
+        this.emit('listening', this.address());
+        return this.address();
+    }
+
+    async stop() {
+        if (!this.server) return;
+
+        const server = this.server;
+        this.server = null;
+        await new Promise(resolve => server.close(() => resolve()));
+    }
+
+    address() {
+        const { address, port } = this.server.address();
+        return { host: address, port, url: `http://${address.includes(':') ? `[${address}]` : address}:${port}${this.path}` };
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host || this.host}`);
+        if (url.pathname !== this.path) {
+            throw new WebhookError(404, `No webhook endpoint at ${url.pathname}`);
+        }
+        if (req.method !== 'POST') {
+            throw new WebhookError(405, 'Webhook deliveries must be POSTed');
+        }
+
+        this.stats.received++;
+
+        const id = req.headers['x-github-delivery'];
+        const event = req.headers['x-github-event'];
+        if (!id || !event) {
+            throw new WebhookError(400, 'Missing X-GitHub-Delivery or X-GitHub-Event header');
+        }
+
+        const body = await readBody(req);
+        if (!verifySignature(this.secret, body, req.headers['x-hub-signature-256'])) {
+            throw new WebhookError(401, 'Invalid or missing X-Hub-Signature-256');
+        }
+
+        this.forgetExpired();
+        if (this.deliveries.has(id)) {
+            this.stats.replayed++;
+            throw new WebhookError(409, `Delivery ${id} was already received`);
+        }
+
+        // Only signed, parsable deliveries burn their id; GitHub's Redeliver
+        // reuses it, so a rejected one must stay retryable
+        const payload = parsePayload(body, req.headers['content-type']);
+        this.deliveries.set(id, Date.now());
+        this.stats.accepted++;
+
+        res.writeHead(event === 'ping' ? 200 : 202, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ id, event, status: 'accepted' }));
+
+        this.emit('delivery', {
+            id,
+            event,
+            action: payload.action,
+            payload,
+            hookId: req.headers['x-github-hook-id']
+        });
+    }
+
+    forgetExpired() {
+        const cutoff = Date.now() - this.replayWindow;
+        for (const [id, receivedAt] of this.deliveries) {
+            if (receivedAt >= cutoff && this.deliveries.size < this.maxDeliveries) break;
+            this.deliveries.delete(id);
+        }
+    }
+
+    reject(res, error) {
+        const status = error.status || 500;
+        this.stats.rejected++;
+        this.emit('rejected', { status, error });
+
+        if (res.headersSent) {
+            res.destroy();
+            return;
+        }
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message }));
+    }
+
+    getStats() {
+        return { ...this.stats, listening: !!this.server, remembered: this.deliveries.size };
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new WebhookError(413, 'Webhook payload too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+// Webhooks deliver application/json or a form with a payload field
+function parsePayload(body, contentType = '') {
+    let payload;
+    try {
+        payload = contentType.startsWith('application/x-www-form-urlencoded')
+            ? JSON.parse(new URLSearchParams(body.toString('utf8')).get('payload'))
+            : JSON.parse(body.toString('utf8'));
+    } catch (error) {
+        throw new WebhookError(400, `Webhook payload is not valid JSON: ${error.message}`);
+    }
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw new WebhookError(400, 'Webhook payload must be a JSON object');
+    }
+    return payload;
+}
+
+module.exports = { WebhookReceiver, WebhookError, verifySignature, sign };
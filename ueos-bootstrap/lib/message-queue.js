@@ -0,0 +1,384 @@
+/**
+ * Message Queue - Durable topic-based messaging between agents
+ * Messages are appended to runtime/queue/messages.jsonl before delivery and
+ * marked acknowledged once every subscriber handled them, so anything still
+ * unacknowledged is redelivered after a restart. Messages nobody can take,
+ * or whose handlers keep failing, go to runtime/queue/dead-letter.jsonl.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { runtimePath } = require('./paths');
+
+class MessageTimeoutError extends Error {
+    constructor(topic, timeout, correlationId) {
+        super(`No reply on topic "${topic}" within ${timeout}ms`);
+        this.name = 'MessageTimeoutError';
+        this.code = 'MESSAGE_TIMEOUT';
+        this.topic = topic;
+        this.timeout = timeout;
+        this.correlationId = correlationId;
+    }
+}
+
+class MessageQueue extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.directory = options.directory || runtimePath('queue');
+        this.persistent = options.persistent !== false;
+        this.maxAttempts = options.maxAttempts || 3;
+        this.retryDelay = options.retryDelay ?? 100;
+        this.requestTimeout = options.requestTimeout || 30000;
+
+        this.subscriptions = new Map();
+        this.pending = new Map();
+        this.requests = new Map();
+        this.writes = Promise.resolve();
+        this.redelivery = null;
+        this.opened = null;
+        this.closed = false;
+    }
+
+    get logPath() {
+        return path.join(this.directory, 'messages.jsonl');
+    }
+
+    get deadLetterPath() {
+        return path.join(this.directory, 'dead-letter.jsonl');
+    }
+
+    async open() {
+        if (!this.opened) {
+            this.opened = this.restore();
+        }
+        return this.opened;
+    }
+
+    async restore() {
+        if (!this.persistent) return;
+
+        await fs.mkdir(this.directory, { recursive: true });
+
+        const records = await readJsonl(this.logPath);
+        records.forEach(record => {
+            if (record.type === 'enqueue') {
+                // Whoever waited for this reply is gone with the old process
+                if (record.message.topic.startsWith('_reply.')) return;
+                this.pending.set(record.message.id, { message: record.message, restored: true });
+            } else {
+                this.pending.delete(record.id);
+            }
+        });
+
+        // Compact the log down to what is still undelivered
+        const lines = Array.from(this.pending.values())
+            .map(({ message }) => JSON.stringify({ type: 'enqueue', message }) + '\n');
+        await fs.writeFile(`${this.logPath}.tmp`, lines.join(''));
+        await fs.rename(`${this.logPath}.tmp`, this.logPath);
+
+        if (this.pending.size > 0) {
+            this.emit('restored', { pending: this.pending.size });
+        }
+    }
+
+    subscribe(topic, handler, { name } = {}) {
+        if (!this.subscriptions.has(topic)) {
+            this.subscriptions.set(topic, new Map());
+        }
+
+        const subscriber = name || `${topic}#${crypto.randomBytes(4).toString('hex')}`;
+        this.subscriptions.get(topic).set(subscriber, handler);
+
+        // Hand over messages that were waiting for this topic (e.g. after a
+        // restart) once the caller finished subscribing everyone
+        if (!this.redelivery && Array.from(this.pending.values()).some(entry => entry.restored)) {
+            this.redelivery = setImmediate(() => this.redeliver());
+        }
+
+        return () => this.unsubscribe(topic, subscriber);
+    }
+
+    redeliver() {
+        this.redelivery = null;
+
+        this.pending.forEach(entry => {
+            if (entry.restored && this.subscriptions.has(entry.message.topic)) {
+                entry.restored = false;
+                this.deliver(entry.message).catch(error => this.emit('message:error', { message: entry.message, error }));
+            }
+        });
+    }
+
+    unsubscribe(topic, subscriber) {
+        const subscribers = this.subscriptions.get(topic);
+        if (!subscribers) return false;
+
+        const removed = subscribers.delete(subscriber);
+        if (subscribers.size === 0) this.subscriptions.delete(topic);
+        return removed;
+    }
+
+    async publish(topic, payload, options = {}) {
+        if (this.closed) {
+            throw new Error('Message queue is closed');
+        }
+        await this.open();
+
+        const message = {
+            id: crypto.randomUUID(),
+            topic,
+            payload,
+            from: options.from || null,
+            correlationId: options.correlationId || null,
+            replyTo: options.replyTo || null,
+            headers: options.headers || {},
+            timestamp: Date.now(),
+            attempts: 0
+        };
+
+        this.pending.set(message.id, { message, restored: false });
+        await this.log({ type: 'enqueue', message });
+        this.emit('message:published', message);
+
+        return await this.deliver(message);
+    }
+
+    // Publishes a message and resolves with the first reply carrying its correlation id
+    async request(topic, payload, options = {}) {
+        const correlationId = options.correlationId || crypto.randomUUID();
+        const timeout = options.timeout || this.requestTimeout;
+        const replyTo = `_reply.${correlationId}`;
+
+        const reply = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.requests.delete(correlationId);
+                reject(new MessageTimeoutError(topic, timeout, correlationId));
+            }, timeout);
+            this.requests.set(correlationId, { resolve, reject, timer });
+        });
+        // The timeout may fire while delivery is still being retried
+        reply.catch(() => {});
+
+        try {
+            const receipt = await this.publish(topic, payload, { ...options, correlationId, replyTo });
+            if (receipt.deadLettered) {
+                throw new Error(`Request on topic "${topic}" was dead-lettered: ${receipt.reason}`);
+            }
+        } catch (error) {
+            this.settleRequest(correlationId, null, error);
+        }
+
+        return await reply;
+    }
+
+    async reply(message, payload, options = {}) {
+        if (!message.replyTo) {
+            throw new Error(`Message ${message.id} does not expect a reply`);
+        }
+
+        return await this.publish(message.replyTo, payload, {
+            ...options,
+            correlationId: message.correlationId
+        });
+    }
+
+    async deliver(message) {
+        // Replies to in-process requests resolve their promise directly
+        if (message.topic.startsWith('_reply.')) {
+            this.settleRequest(message.correlationId, message.payload);
+            await this.acknowledge(message);
+            return { id: message.id, delivered: 1 };
+        }
+
+        const subscribers = Array.from((this.subscriptions.get(message.topic) || new Map()).entries());
+        if (subscribers.length === 0) {
+            return await this.deadLetter(message, 'no_subscribers');
+        }
+
+        let lastError = null;
+        let remaining = subscribers;
+
+        while (remaining.length > 0 && message.attempts < this.maxAttempts) {
+            message.attempts++;
+
+            const outcomes = await Promise.allSettled(
+                remaining.map(([, handler]) => Promise.resolve().then(() => handler(message)))
+            );
+
+            const failed = [];
+            outcomes.forEach((outcome, index) => {
+                if (outcome.status === 'fulfilled') {
+                    // The first handler to return something answers a request
+                    if (message.replyTo && outcome.value !== undefined && !message.replied) {
+                        message.replied = true;
+                        this.reply(message, outcome.value).catch(error => this.emit('message:error', { message, error }));
+                    }
+                } else {
+                    lastError = outcome.reason;
+                    failed.push(remaining[index]);
+                    this.emit('message:nack', { message, subscriber: remaining[index][0], error: outcome.reason });
+                }
+            });
+
+            // Only subscribers that failed see the message again
+            remaining = failed;
+            if (remaining.length > 0 && message.attempts < this.maxAttempts && !this.closed) {
+                await delay(this.retryDelay * message.attempts);
+            }
+        }
+
+        if (remaining.length > 0) {
+            return await this.deadLetter(message, 'handler_failed', lastError, remaining.map(([name]) => name));
+        }
+
+        await this.acknowledge(message);
+        return { id: message.id, delivered: subscribers.length };
+    }
+
+    async acknowledge(message) {
+        this.pending.delete(message.id);
+        await this.log({ type: 'ack', id: message.id });
+        this.emit('message:acked', message);
+    }
+
+    async deadLetter(message, reason, error = null, subscribers = []) {
+        const entry = {
+            message,
+            reason,
+            subscribers,
+            error: error ? { name: error.name, message: error.message, code: error.code } : null,
+            deadLetteredAt: Date.now()
+        };
+
+        this.pending.delete(message.id);
+        await this.log({ type: 'dead', id: message.id, reason });
+        if (this.persistent) {
+            await this.serialize(() => fs.appendFile(this.deadLetterPath, JSON.stringify(entry) + '\n'));
+        }
+
+        this.emit('message:dead', entry);
+        return { id: message.id, delivered: 0, deadLettered: true, reason };
+    }
+
+    settleRequest(correlationId, payload, error = null) {
+        const request = this.requests.get(correlationId);
+        if (!request) return;
+
+        clearTimeout(request.timer);
+        this.requests.delete(correlationId);
+        if (error) {
+            request.reject(error);
+        } else {
+            request.resolve(payload);
+        }
+    }
+
+    async listDeadLetters() {
+        if (!this.persistent) return [];
+        await this.writes;
+        return await readJsonl(this.deadLetterPath);
+    }
+
+    // Publishes a dead-lettered message again and removes it from the store
+    async redrive(messageId) {
+        const entries = await this.listDeadLetters();
+        const entry = entries.find(candidate => candidate.message.id === messageId);
+        if (!entry) {
+            throw new Error(`No dead-lettered message ${messageId}`);
+        }
+
+        await this.rewriteDeadLetters(entries.filter(candidate => candidate !== entry));
+
+        const { topic, payload, from, correlationId, replyTo, headers } = entry.message;
+        return await this.publish(topic, payload, { from, correlationId, replyTo, headers });
+    }
+
+    async purgeDeadLetters() {
+        const entries = await this.listDeadLetters();
+        await this.rewriteDeadLetters([]);
+        return entries.length;
+    }
+
+    async rewriteDeadLetters(entries) {
+        await this.serialize(() =>
+            fs.writeFile(this.deadLetterPath, entries.map(entry => JSON.stringify(entry) + '\n').join(''))
+        );
+    }
+
+    async log(record) {
+        if (!this.persistent) return;
+        await this.serialize(() => appendDurable(this.logPath, JSON.stringify(record) + '\n'));
+    }
+
+    serialize(write) {
+        // One write at a time so records never interleave
+        const next = this.writes.then(write);
+        this.writes = next.catch(() => {});
+        return next;
+    }
+
+    getStats() {
+        return {
+            topics: Array.from(this.subscriptions.keys()),
+            pending: this.pending.size,
+            awaitingReply: this.requests.size
+        };
+    }
+
+    async close() {
+        this.closed = true;
+        clearImmediate(this.redelivery);
+
+        this.requests.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(new Error('Message queue closed'));
+        });
+        this.requests.clear();
+
+        // Undelivered messages stay in the log for the next process
+        await this.writes;
+    }
+}
+
+async function appendDurable(file, line) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const handle = await fs.open(file, 'a');
+
+    try {
+        await handle.write(line);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+}
+
+async function readJsonl(file) {
+    let content;
+    try {
+        content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const records = [];
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            records.push(JSON.parse(line));
+        } catch (error) {
+            // A torn write from a crash can only affect the last line
+            break;
+        }
+    }
+    return records;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { MessageQueue, MessageTimeoutError };
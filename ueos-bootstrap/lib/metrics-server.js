@@ -0,0 +1,71 @@
+/**
+ * Metrics Server - Optional local HTTP endpoint in Prometheus text format
+ * Binds to localhost by default; scrape GET /metrics.
+ */
+
+const http = require('http');
+const EventEmitter = require('events');
+
+class MetricsServer extends EventEmitter {
+    constructor(store, options = {}) {
+        super();
+
+        this.store = store;
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port ?? 9464;
+        this.path = options.path || '/metrics';
+        this.server = null;
+    }
+
+    async start() {
+        if (this.server) return this.address();
+
+        this.server = http.createServer((req, res) => this.handle(req, res));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+
+        this.emit('listening', this.address());
+        return this.address();
+    }
+
+    handle(req, res) {
+        const { pathname } = new URL(req.url, `http://${req.headers.host || this.host}`);
+
+        if (req.method !== 'GET' || pathname !== this.path) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found\n');
+            return;
+        }
+
+        try {
+            const body = this.store.toPrometheus();
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+            res.end(body);
+        } catch (error) {
+            this.emit('error', error);
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end(`${error.message}\n`);
+        }
+    }
+
+    address() {
+        const address = this.server?.address();
+        return address ? { host: address.address, port: address.port, path: this.path } : null;
+    }
+
+    async stop() {
+        if (!this.server) return;
+
+        const server = this.server;
+        this.server = null;
+        await new Promise(resolve => server.close(() => resolve()));
+    }
+}
+
+module.exports = { MetricsServer };
@@ -0,0 +1,267 @@
+/**
+ * Metrics Store - Persistent counters and histograms with daily rollups
+ * Totals live in runtime/metrics/state.json and survive restarts; each day's
+ * increments are also kept in runtime/metrics/rollups/<YYYY-MM-DD>.json.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { runtimePath } = require('./paths');
+
+const DEFAULT_BUCKETS = [0.1, 0.5, 1, 5, 15, 30, 60, 120, 300, 600, 1800];
+
+class MetricsStore {
+    constructor(options = {}) {
+        this.directory = options.directory || runtimePath('metrics');
+        this.retentionDays = options.retentionDays || 90;
+        this.saveDelay = options.saveDelay ?? 5000;
+
+        this.definitions = new Map();
+        this.state = emptyState();
+        this.days = new Map();
+        this.dirtyDays = new Set();
+        this.saveTimer = null;
+        this.saving = Promise.resolve();
+    }
+
+    define(name, { type, help, labels = [], buckets = DEFAULT_BUCKETS }) {
+        if (!['counter', 'gauge', 'histogram'].includes(type)) {
+            throw new Error(`Unsupported metric type "${type}" for ${name}`);
+        }
+
+        this.definitions.set(name, { name, type, help, labels, buckets });
+        return this;
+    }
+
+    increment(name, labels = {}, value = 1) {
+        this.assertType(name, 'counter');
+
+        const series = this.series(this.state.counters, name, labels, () => ({ value: 0 }));
+        series.value += value;
+
+        const daily = this.series(this.today().counters, name, labels, () => ({ value: 0 }));
+        daily.value += value;
+
+        this.changed();
+    }
+
+    set(name, labels = {}, value) {
+        this.assertType(name, 'gauge');
+
+        this.series(this.state.gauges, name, labels, () => ({ value: 0 })).value = value;
+        this.changed();
+    }
+
+    observe(name, labels = {}, value) {
+        const definition = this.assertType(name, 'histogram');
+        const createHistogram = () => ({
+            buckets: definition.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        });
+
+        const series = this.series(this.state.histograms, name, labels, createHistogram);
+        definition.buckets.forEach((bound, index) => {
+            if (value <= bound) series.buckets[index]++;
+        });
+        series.sum += value;
+        series.count++;
+
+        const daily = this.series(this.today().histograms, name, labels, () => ({ sum: 0, count: 0 }));
+        daily.sum += value;
+        daily.count++;
+
+        this.changed();
+    }
+
+    assertType(name, type) {
+        const definition = this.definitions.get(name);
+        if (!definition || definition.type !== type) {
+            throw new Error(`Metric ${name} is not defined as a ${type}`);
+        }
+        return definition;
+    }
+
+    series(collection, name, labels, create) {
+        const key = labelKey(labels);
+        collection[name] = collection[name] || {};
+
+        if (!collection[name][key]) {
+            collection[name][key] = { labels: { ...labels }, ...create() };
+        }
+
+        return collection[name][key];
+    }
+
+    today() {
+        const day = new Date().toISOString().slice(0, 10);
+
+        if (!this.days.has(day)) {
+            this.days.set(day, { day, counters: {}, histograms: {} });
+        }
+        this.dirtyDays.add(day);
+
+        return this.days.get(day);
+    }
+
+    changed() {
+        this.state.updatedAt = new Date().toISOString();
+
+        // Coalesce bursts of updates into one write
+        if (this.saveDelay > 0 && !this.saveTimer) {
+            this.saveTimer = setTimeout(() => {
+                this.saveTimer = null;
+                this.save().catch(() => {});
+            }, this.saveDelay);
+            if (this.saveTimer.unref) this.saveTimer.unref();
+        }
+    }
+
+    async load() {
+        try {
+            const content = await fs.readFile(path.join(this.directory, 'state.json'), 'utf8');
+            // Gauges are point-in-time values; a reloaded one would be stale
+            this.state = { ...emptyState(), ...JSON.parse(content), gauges: {} };
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        // Continue today's rollup rather than overwriting it
+        const day = new Date().toISOString().slice(0, 10);
+        const rollup = await this.readRollup(day);
+        if (rollup) {
+            this.days.set(day, rollup);
+        }
+
+        return this;
+    }
+
+    async save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        // A failed write must not keep every later save from running
+        this.saving = this.saving.catch(() => {}).then(() => this.writeFiles());
+        return this.saving;
+    }
+
+    async writeFiles() {
+        await fs.mkdir(path.join(this.directory, 'rollups'), { recursive: true });
+        await writeJsonAtomic(path.join(this.directory, 'state.json'), { ...this.state, gauges: {} });
+
+        const days = Array.from(this.dirtyDays);
+        this.dirtyDays.clear();
+
+        for (const day of days) {
+            await writeJsonAtomic(this.rollupPath(day), this.days.get(day));
+        }
+
+        await this.pruneRollups();
+    }
+
+    rollupPath(day) {
+        return path.join(this.directory, 'rollups', `${day}.json`);
+    }
+
+    async readRollup(day) {
+        try {
+            return JSON.parse(await fs.readFile(this.rollupPath(day), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async getRollups(days = 7) {
+        const rollups = [];
+
+        for (let offset = days - 1; offset >= 0; offset--) {
+            const day = new Date(Date.now() - offset * 86400000).toISOString().slice(0, 10);
+            const rollup = this.days.get(day) || await this.readRollup(day);
+            if (rollup) rollups.push(rollup);
+        }
+
+        return rollups;
+    }
+
+    async pruneRollups() {
+        const cutoff = new Date(Date.now() - this.retentionDays * 86400000).toISOString().slice(0, 10);
+        const files = await fs.readdir(path.join(this.directory, 'rollups'));
+
+        await Promise.all(files
+            .filter(file => file.endsWith('.json') && file.slice(0, 10) < cutoff)
+            .map(file => fs.rm(path.join(this.directory, 'rollups', file), { force: true })));
+
+        Array.from(this.days.keys())
+            .filter(day => day < cutoff)
+            .forEach(day => this.days.delete(day));
+    }
+
+    snapshot() {
+        return JSON.parse(JSON.stringify(this.state));
+    }
+
+    toPrometheus() {
+        const lines = [];
+
+        this.definitions.forEach(definition => {
+            const { name, type, help } = definition;
+            lines.push(`# HELP ${name} ${help || name}`);
+            lines.push(`# TYPE ${name} ${type}`);
+
+            if (type === 'histogram') {
+                Object.values(this.state.histograms[name] || {}).forEach(series => {
+                    // Stored bucket counts are already cumulative (value <= bound)
+                    definition.buckets.forEach((bound, index) => {
+                        const labels = formatLabels({ ...series.labels, le: String(bound) });
+                        lines.push(`${name}_bucket${labels} ${series.buckets[index] || 0}`);
+                    });
+                    lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+                    lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+                    lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+                });
+                return;
+            }
+
+            const collection = type === 'counter' ? this.state.counters : this.state.gauges;
+            Object.values(collection[name] || {}).forEach(series => {
+                lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+            });
+        });
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+function emptyState() {
+    return {
+        version: 1,
+        createdAt: new Date().toISOString(),
+        updatedAt: null,
+        counters: {},
+        gauges: {},
+        histograms: {}
+    };
+}
+
+function labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+    if (entries.length === 0) return '';
+
+    const escaped = entries.map(([key, value]) =>
+        `${key}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`
+    );
+    return `{${escaped.join(',')}}`;
+}
+
+async function writeJsonAtomic(file, data) {
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(data, null, 2));
+    await fs.rename(temporary, file);
+}
+
+module.exports = { MetricsStore, DEFAULT_BUCKETS };
@@ -0,0 +1,24 @@
+/**
+ * UEOS Paths
+ * Resolves locations inside the global UEOS home directory
+ */
+
+const path = require('path');
+
+function ueosHome() {
+    return process.env.UEOS_HOME || path.join(process.env.HOME || '', '.ueos');
+}
+
+function runtimePath(...segments) {
+    return path.join(ueosHome(), 'runtime', ...segments);
+}
+
+// Execution ids end up in file names; only the generated
+// exec_<timestamp>_<random> shape may reach a path
+const EXECUTION_ID = /^exec_\d+_[a-z0-9]+$/;
+
+function isExecutionId(id) {
+    return typeof id === 'string' && EXECUTION_ID.test(id);
+}
+
+module.exports = { ueosHome, runtimePath, isExecutionId };
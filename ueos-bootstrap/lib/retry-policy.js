@@ -0,0 +1,99 @@
+/**
+ * Retry Policy - Classifies phase errors and decides whether to retry them
+ * Errors are sorted into transient (retry the phase with jittered backoff),
+ * permanent (fail the execution) and needs_human (escalate and block).
+ */
+
+const TRANSIENT = 'transient';
+const PERMANENT = 'permanent';
+const NEEDS_HUMAN = 'needs_human';
+
+const TRANSIENT_CODES = [
+    'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE',
+    'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'
+];
+
+// Programming errors will fail the same way on every attempt
+const PERMANENT_NAMES = ['TypeError', 'ReferenceError', 'SyntaxError', 'RangeError'];
+
+class PermanentError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'PermanentError';
+        this.classification = PERMANENT;
+        Object.assign(this, details);
+    }
+}
+
+class NeedsHumanError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'NeedsHumanError';
+        this.classification = NEEDS_HUMAN;
+        Object.assign(this, details);
+    }
+}
+
+class RetryPolicy {
+    constructor(options = {}) {
+        this.maxRetries = options.maxRetries ?? 3;
+        this.baseDelay = options.baseDelay ?? 1000;
+        this.maxDelay = options.maxDelay ?? 30000;
+        this.rules = options.rules || [];
+    }
+
+    classify(error) {
+        // Errors may carry their own verdict
+        if ([TRANSIENT, PERMANENT, NEEDS_HUMAN].includes(error?.classification)) {
+            return error.classification;
+        }
+
+        const rule = this.rules.find(candidate => matchesRule(candidate, error));
+        if (rule) {
+            return rule.classification;
+        }
+
+        const status = error?.status || error?.response?.status;
+        if (status === 401 || status === 403) return NEEDS_HUMAN;
+        if (status === 408 || status === 429 || status >= 500) return TRANSIENT;
+        if (status >= 400) return PERMANENT;
+
+        if (TRANSIENT_CODES.includes(error?.code) || error?.transient === true) {
+            return TRANSIENT;
+        }
+        if (PERMANENT_NAMES.includes(error?.name)) {
+            return PERMANENT;
+        }
+
+        // Unknown failures get the benefit of the doubt, bounded by maxRetries
+        return TRANSIENT;
+    }
+
+    shouldRetry(classification, retries) {
+        return classification === TRANSIENT && retries < this.maxRetries;
+    }
+
+    delay(attempt) {
+        // Equal jitter: half the exponential step is fixed, half is random
+        const step = Math.min(this.baseDelay * Math.pow(2, attempt - 1), this.maxDelay);
+        return Math.round(step / 2 + Math.random() * step / 2);
+    }
+}
+
+function matchesRule(rule, error) {
+    if (!error) return false;
+    if (rule.code && rule.code !== error.code) return false;
+    if (rule.name && rule.name !== error.name) return false;
+    if (rule.status && rule.status !== (error.status || error.response?.status)) return false;
+    if (rule.message && !new RegExp(rule.message).test(error.message || '')) return false;
+    return !!(rule.code || rule.name || rule.status || rule.message);
+}
+
+module.exports = {
+    RetryPolicy,
+    PermanentError,
+    NeedsHumanError,
+    TRANSIENT,
+    PERMANENT,
+    NEEDS_HUMAN
+};
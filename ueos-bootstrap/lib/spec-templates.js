@@ -0,0 +1,327 @@
+/**
+ * Spec Templates - Domain specification templates the SpecAgent fills in
+ * Templates come from the built-ins below, ~/.ueos/templates/spec-kits and the
+ * project's .ueos-local/spec-kits (later sources win):
+ *   { name, description, extends, compliance: [], sections: { <id>: { title, required, prompts } },
+ *     overrides: { <id>: { ...fields } | null } }
+ * A template inherits its parent's sections; `sections` replaces whole
+ * sections, `overrides` patches fields of inherited ones (null removes one).
+ * A template may extend its own name to customise the one from an earlier source.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { ueosHome } = require('./paths');
+
+const TEMPLATE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const BUILTIN_SOURCE = 'builtin';
+const DEFAULT_TEMPLATE = 'base';
+
+const BUILTIN_SPEC_TEMPLATES = {
+    base: {
+        name: 'base',
+        description: 'Sections every specification needs',
+        sections: {
+            overview: { title: 'Overview', required: true, prompts: ['Problem statement', 'Goals and non-goals'] },
+            requirements: { title: 'Requirements', required: true, prompts: ['Functional requirements', 'Acceptance criteria'] },
+            architecture: { title: 'Architecture', required: true, prompts: ['Components and their responsibilities'] },
+            data_model: { title: 'Data Model', prompts: ['Entities, fields and relationships'] },
+            security: { title: 'Security', required: true, prompts: ['Authentication', 'Authorization', 'Secrets handling'] },
+            testing: { title: 'Testing Strategy', required: true, prompts: ['Unit, integration and e2e coverage'] },
+            deployment: { title: 'Deployment', prompts: ['Environments', 'Rollback plan'] }
+        }
+    },
+    web: {
+        name: 'web',
+        description: 'Browser-facing applications',
+        extends: 'base',
+        sections: {
+            user_interface: { title: 'User Interface', required: true, prompts: ['Pages and flows', 'Accessibility (WCAG 2.1 AA)'] },
+            performance: { title: 'Performance', prompts: ['Core Web Vitals budgets', 'Caching'] }
+        },
+        overrides: {
+            security: { prompts: ['Authentication', 'Authorization', 'XSS, CSRF and CSP'] }
+        }
+    },
+    api: {
+        name: 'api',
+        description: 'HTTP APIs and services',
+        extends: 'web',
+        sections: {
+            endpoints: { title: 'Endpoints', required: true, prompts: ['Routes, methods, request and response schemas'] },
+            versioning: { title: 'Versioning', prompts: ['Compatibility policy', 'Deprecation'] }
+        },
+        overrides: {
+            user_interface: null,
+            performance: { prompts: ['Latency and throughput targets', 'Rate limiting'] }
+        }
+    },
+    medical: {
+        name: 'medical',
+        description: 'Systems handling protected health information',
+        extends: 'base',
+        compliance: ['hipaa'],
+        sections: {
+            phi_handling: { title: 'PHI Handling', required: true, prompts: ['Where PHI is stored, processed and transmitted', 'Minimum necessary access'] },
+            audit: { title: 'Audit Logging', required: true, prompts: ['Access logs for every PHI read and write'] }
+        },
+        overrides: {
+            security: { prompts: ['Authentication', 'Role-based access to PHI', 'Encryption at rest and in transit'] }
+        }
+    },
+    financial: {
+        name: 'financial',
+        description: 'Payments, ledgers and financial reporting',
+        extends: 'base',
+        compliance: ['pci', 'sox'],
+        sections: {
+            transactions: { title: 'Transactions', required: true, prompts: ['Idempotency', 'Reconciliation'] },
+            audit: { title: 'Audit Trail', required: true, prompts: ['Immutable record of financial changes'] }
+        },
+        overrides: {
+            security: { prompts: ['Authentication', 'Cardholder data scope', 'Key management'] }
+        }
+    }
+};
+
+function defaultTemplateDirectories(cwd = process.cwd()) {
+    // Lowest precedence first
+    return [
+        path.join(ueosHome(), 'templates', 'spec-kits'),
+        path.join(cwd, '.ueos-local', 'spec-kits')
+    ];
+}
+
+// Every source that defines a template, lowest precedence first:
+// Map<name, [{ definition, source }]>
+async function discoverSpecTemplates(options = {}) {
+    const directories = options.directories || defaultTemplateDirectories(options.cwd);
+    const discovered = new Map();
+    const errors = [];
+
+    const add = (definition, source) => {
+        if (!discovered.has(definition.name)) discovered.set(definition.name, []);
+        discovered.get(definition.name).push({ definition, source });
+    };
+
+    Object.values(BUILTIN_SPEC_TEMPLATES).forEach(definition => add(definition, `${BUILTIN_SOURCE}:${definition.name}`));
+
+    for (const directory of directories) {
+        let files;
+        try {
+            files = await fs.readdir(directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') continue;
+            throw error;
+        }
+
+        for (const file of files.sort()) {
+            const extension = path.extname(file);
+            if (!TEMPLATE_EXTENSIONS.includes(extension)) continue;
+
+            const source = path.join(directory, file);
+            try {
+                const definition = await readTemplateFile(source);
+                const named = isPlainObject(definition)
+                    ? { ...definition, name: definition.name || path.basename(file, extension) }
+                    : definition;
+                const problems = validateSpecTemplate(named);
+                if (problems.length > 0) {
+                    throw new Error(problems.join('; '));
+                }
+                add(named, source);
+            } catch (error) {
+                // One broken file must not hide the other templates
+                errors.push({ source, error });
+            }
+        }
+    }
+
+    return { templates: discovered, errors };
+}
+
+async function readTemplateFile(file) {
+    const content = await fs.readFile(file, 'utf8');
+
+    try {
+        if (file.endsWith('.json')) {
+            return JSON.parse(content);
+        }
+
+        const yaml = require('js-yaml');
+        return yaml.load(content);
+    } catch (error) {
+        throw new Error(`Invalid spec template file ${file}: ${error.message}`);
+    }
+}
+
+function validateSpecTemplate(template) {
+    const errors = [];
+
+    if (!isPlainObject(template)) {
+        return ['template must be an object'];
+    }
+    if (typeof template.name !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(template.name)) {
+        errors.push('"name" must be a word of letters, digits, "-" or "_"');
+    }
+    if (template.description !== undefined && typeof template.description !== 'string') {
+        errors.push('"description" must be a string');
+    }
+    if (template.extends !== undefined && typeof template.extends !== 'string') {
+        errors.push('"extends" must be the name of one template');
+    }
+    if (template.compliance !== undefined &&
+        (!Array.isArray(template.compliance) || template.compliance.some(item => typeof item !== 'string'))) {
+        errors.push('"compliance" must be a list of framework names');
+    }
+    if (template.sections === undefined && template.overrides === undefined && !template.extends) {
+        errors.push('a template without "extends" needs "sections"');
+    }
+
+    Object.entries(asObject(template.sections, 'sections', errors)).forEach(([id, section]) => {
+        errors.push(...validateSection(id, section, { partial: false }));
+    });
+    Object.entries(asObject(template.overrides, 'overrides', errors)).forEach(([id, section]) => {
+        if (section !== null) errors.push(...validateSection(id, section, { partial: true }));
+    });
+
+    return errors;
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function asObject(value, field, errors) {
+    if (value === undefined) return {};
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`"${field}" must map section ids to sections`);
+        return {};
+    }
+    return value;
+}
+
+function validateSection(id, section, { partial }) {
+    const errors = [];
+    const where = `section "${id}"`;
+
+    if (!section || typeof section !== 'object' || Array.isArray(section)) {
+        return [`${where} must be an object${partial ? ' or null' : ''}`];
+    }
+    if (!partial && typeof section.title !== 'string') {
+        errors.push(`${where} needs a "title"`);
+    }
+    if (section.title !== undefined && typeof section.title !== 'string') {
+        errors.push(`${where}: "title" must be a string`);
+    }
+    if (section.required !== undefined && typeof section.required !== 'boolean') {
+        errors.push(`${where}: "required" must be true or false`);
+    }
+    if (section.prompts !== undefined &&
+        (!Array.isArray(section.prompts) || section.prompts.some(prompt => typeof prompt !== 'string'))) {
+        errors.push(`${where}: "prompts" must be a list of strings`);
+    }
+
+    return errors;
+}
+
+class SpecTemplateLibrary {
+    constructor(options = {}) {
+        this.options = options;
+        this.templates = new Map();
+        this.errors = [];
+    }
+
+    async load() {
+        const { templates, errors } = await discoverSpecTemplates(this.options);
+        this.templates = templates;
+        this.errors = errors;
+        return this;
+    }
+
+    list() {
+        return Array.from(this.templates.entries()).map(([name, layers]) => {
+            const top = layers[layers.length - 1];
+            return {
+                name,
+                description: top.definition.description,
+                extends: top.definition.extends,
+                sources: layers.map(layer => layer.source)
+            };
+        });
+    }
+
+    // { name, description, compliance, sections, files } with inheritance applied;
+    // files lists every template file that contributed, base first
+    resolve(name = DEFAULT_TEMPLATE) {
+        const layers = this.templates.get(name);
+        if (!layers) {
+            const invalid = this.errors.find(({ source }) => path.basename(source, path.extname(source)) === name);
+            if (invalid) {
+                throw new Error(`Spec template "${name}" is invalid (${invalid.source}): ${invalid.error.message}`);
+            }
+            throw new Error(`Unknown spec template "${name}"; available: ${Array.from(this.templates.keys()).join(', ')}`);
+        }
+
+        return this.resolveLayer(name, layers.length - 1, []);
+    }
+
+    resolveLayer(name, index, chain) {
+        const { definition, source } = this.templates.get(name)[index];
+        const key = `${name}@${source}`;
+        if (chain.includes(key)) {
+            throw new Error(`Spec template inheritance cycle: ${[...chain, key].join(' -> ')}`);
+        }
+
+        let parent = null;
+        if (definition.extends === name) {
+            // Customises the same template from a lower-precedence source
+            if (index === 0) {
+                throw new Error(`Spec template "${name}" (${source}) extends itself but no earlier source defines it`);
+            }
+            parent = this.resolveLayer(name, index - 1, [...chain, key]);
+        } else if (definition.extends) {
+            const layers = this.templates.get(definition.extends);
+            if (!layers) {
+                throw new Error(`Spec template "${name}" (${source}) extends unknown template "${definition.extends}"`);
+            }
+            parent = this.resolveLayer(definition.extends, layers.length - 1, [...chain, key]);
+        }
+
+        return mergeTemplate(parent, definition, source);
+    }
+}
+
+function mergeTemplate(parent, definition, source) {
+    const sections = { ...(parent?.sections || {}) };
+
+    Object.entries(definition.sections || {}).forEach(([id, section]) => {
+        sections[id] = { ...section };
+    });
+
+    Object.entries(definition.overrides || {}).forEach(([id, patch]) => {
+        if (patch === null) {
+            delete sections[id];
+        } else if (sections[id]) {
+            sections[id] = { ...sections[id], ...patch };
+        } else {
+            throw new Error(`Spec template "${definition.name}" (${source}) overrides unknown section "${id}"`);
+        }
+    });
+
+    return {
+        name: definition.name,
+        description: definition.description ?? parent?.description,
+        compliance: Array.from(new Set([...(parent?.compliance || []), ...(definition.compliance || [])])),
+        sections,
+        files: [...(parent?.files || []), source]
+    };
+}
+
+module.exports = {
+    BUILTIN_SPEC_TEMPLATES,
+    DEFAULT_TEMPLATE,
+    SpecTemplateLibrary,
+    discoverSpecTemplates,
+    validateSpecTemplate
+};
@@ -0,0 +1,174 @@
+/**
+ * Task Scheduler - Bounded-concurrency runner for dependent tasks
+ * Tasks start once their dependencies succeeded, highest priority first, with
+ * at most `concurrency` in flight. Results come back settled and in input
+ * order; a failed task only skips the tasks that depend on it.
+ */
+
+const EventEmitter = require('events');
+const { abortReason } = require('./cancellation');
+
+const PRIORITIES = { critical: 3, high: 2, medium: 1, normal: 1, low: 0 };
+
+// Limits are often a share of the swarm (maxAgents * 0.4); a fraction of an
+// agent still counts as one
+function resolveConcurrency(concurrency) {
+    return Math.max(1, Math.ceil(concurrency || 1));
+}
+
+class TaskScheduler extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.concurrency = resolveConcurrency(options.concurrency);
+        this.continueOnFailure = options.continueOnFailure === true;
+    }
+
+    async run(tasks, worker, { signal } = {}) {
+        const entries = tasks.map((task, index) => ({
+            task,
+            index,
+            id: taskId(task, index),
+            priority: priorityOf(task),
+            dependencies: dependenciesOf(task)
+        }));
+        const byId = new Map(entries.map(entry => [entry.id, entry]));
+        validateDependencies(entries, byId);
+
+        const results = new Array(entries.length);
+        const pending = new Set(entries);
+        const running = new Set();
+        let firstError = null;
+
+        const settled = (entry) => results[entry.index] !== undefined;
+        const succeeded = (entry) => results[entry.index]?.status === 'fulfilled';
+
+        const skip = (entry, reason) => {
+            pending.delete(entry);
+            results[entry.index] = { status: 'skipped', task: entry.task, reason };
+            this.emit('task:skipped', { task: entry.task, reason });
+        };
+
+        const launch = (entry) => {
+            pending.delete(entry);
+            this.emit('task:start', { task: entry.task, index: entry.index });
+
+            const promise = Promise.resolve()
+                .then(() => worker(entry.task, { index: entry.index, signal }))
+                .then(
+                    value => {
+                        results[entry.index] = { status: 'fulfilled', task: entry.task, value };
+                        this.emit('task:complete', { task: entry.task, value });
+                    },
+                    reason => {
+                        results[entry.index] = { status: 'rejected', task: entry.task, reason };
+                        this.emit('task:failed', { task: entry.task, error: reason });
+                        if (!firstError) firstError = reason;
+                    }
+                )
+                .finally(() => running.delete(promise));
+
+            running.add(promise);
+        };
+
+        while (pending.size > 0 || running.size > 0) {
+            // Stop handing out work once aborted or, in fail-fast mode, after a failure
+            const halted = signal?.aborted || (firstError && !this.continueOnFailure);
+
+            if (!halted) {
+                // Dependents of a failed or skipped task can never run
+                let changed = true;
+                while (changed) {
+                    changed = false;
+                    pending.forEach(entry => {
+                        const failed = entry.dependencies.find(dep => settled(byId.get(dep)) && !succeeded(byId.get(dep)));
+                        if (failed) {
+                            skip(entry, `Dependency "${failed}" did not succeed`);
+                            changed = true;
+                        }
+                    });
+                }
+
+                const ready = Array.from(pending)
+                    .filter(entry => entry.dependencies.every(dep => succeeded(byId.get(dep))))
+                    .sort((a, b) => b.priority - a.priority || a.index - b.index);
+
+                ready.slice(0, this.concurrency - running.size).forEach(launch);
+            }
+
+            if (running.size === 0) {
+                if (halted || pending.size === 0) break;
+                // Nothing running and nothing ready: only possible if validation missed a cycle
+                throw new Error('Task scheduler stalled: unresolved dependencies');
+            }
+
+            await Promise.race(running);
+        }
+
+        if (signal?.aborted) {
+            throw abortReason(signal);
+        }
+
+        pending.forEach(entry => skip(entry, 'Not started after an earlier task failed'));
+
+        if (firstError && !this.continueOnFailure) {
+            firstError.results = results;
+            throw firstError;
+        }
+
+        return results;
+    }
+}
+
+function taskId(task, index) {
+    if (task && typeof task === 'object' && (task.id !== undefined || task.name !== undefined)) {
+        return String(task.id ?? task.name);
+    }
+    return `#${index}`;
+}
+
+function priorityOf(task) {
+    const priority = task?.priority;
+    if (typeof priority === 'number') return priority;
+    if (typeof priority === 'string' && Object.hasOwn(PRIORITIES, priority.toLowerCase())) {
+        return PRIORITIES[priority.toLowerCase()];
+    }
+    return PRIORITIES.normal;
+}
+
+function dependenciesOf(task) {
+    const dependencies = task?.dependencies || task?.dependsOn || [];
+    return (Array.isArray(dependencies) ? dependencies : [dependencies]).map(String);
+}
+
+function validateDependencies(entries, byId) {
+    if (entries.every(entry => entry.dependencies.length === 0)) return;
+
+    if (byId.size !== entries.length) {
+        throw new Error('Task ids must be unique to schedule dependencies');
+    }
+
+    entries.forEach(entry => {
+        entry.dependencies.forEach(dep => {
+            if (!byId.has(dep)) {
+                throw new Error(`Task "${entry.id}" depends on unknown task "${dep}"`);
+            }
+        });
+    });
+
+    // Depth-first search for cycles
+    const state = new Map();
+    const visit = (entry, path) => {
+        if (state.get(entry.id) === 'done') return;
+        if (state.get(entry.id) === 'visiting') {
+            throw new Error(`Task dependency cycle: ${[...path, entry.id].join(' -> ')}`);
+        }
+
+        state.set(entry.id, 'visiting');
+        entry.dependencies.forEach(dep => visit(byId.get(dep), [...path, entry.id]));
+        state.set(entry.id, 'done');
+    };
+    entries.forEach(entry => visit(entry, []));
+}
+
+module.exports = { TaskScheduler, PRIORITIES, resolveConcurrency };
@@ -0,0 +1,153 @@
+/**
+ * Test History - Per-test outcomes across the QA fix loop
+ * Every QA run is recorded under the fix attempt (code version) it tested.
+ * A test that both failed and passed against the same code is flaky; only
+ * tests failing on their latest run and not flaky count as real failures.
+ */
+
+const PASSED = 'passed';
+const FAILED = 'failed';
+const SKIPPED = 'skipped';
+
+class TestHistory {
+    constructor() {
+        this.tests = new Map();
+        this.runs = [];
+    }
+
+    // kind: 'initial', 'rerun' or 'fix'
+    record(attempt, kind, results) {
+        const tests = normalizeTestResults(results);
+        this.runs.push({
+            attempt,
+            kind,
+            passed: results?.passed ?? tests.filter(test => test.status === PASSED).length,
+            failed: results?.failed ?? tests.filter(test => test.status === FAILED).length,
+            coverage: coverageOf(results),
+            named: tests.length > 0
+        });
+
+        tests.forEach(({ name, status, error }) => {
+            if (!this.tests.has(name)) this.tests.set(name, []);
+            this.tests.get(name).push({ attempt, kind, status, error });
+        });
+
+        return tests;
+    }
+
+    // Names of tests failing on their most recent run (within one attempt)
+    failing(attempt) {
+        return Array.from(this.tests.entries())
+            .filter(([, runs]) => {
+                const relevant = runs.filter(run => attempt === undefined || run.attempt === attempt);
+                return relevant.length > 0 && relevant[relevant.length - 1].status === FAILED;
+            })
+            .map(([name]) => name);
+    }
+
+    // Flaky within one attempt, or within any attempt when none is given;
+    // passing after a fix is not flakiness
+    flaky(attempt) {
+        return Array.from(this.tests.entries())
+            .filter(([, runs]) => {
+                const attempts = attempt === undefined ? new Set(runs.map(run => run.attempt)) : [attempt];
+                return Array.from(attempts).some(current => {
+                    const statuses = new Set(runs.filter(run => run.attempt === current).map(run => run.status));
+                    return statuses.has(PASSED) && statuses.has(FAILED);
+                });
+            })
+            .map(([name]) => name);
+    }
+
+    realFailures(attempt) {
+        const flaky = new Set(this.flaky(attempt));
+        return this.failing(attempt).filter(name => !flaky.has(name));
+    }
+
+    // Counts for one attempt: each test's latest run decides, flaky tests pass
+    summary(attempt) {
+        const flaky = new Set(this.flaky(attempt));
+        const counts = { total: 0, passed: 0, failed: 0, skipped: 0 };
+
+        this.tests.forEach((runs, name) => {
+            const relevant = runs.filter(run => run.attempt === attempt);
+            if (relevant.length === 0) return;
+
+            counts.total++;
+            counts[flaky.has(name) ? PASSED : relevant[relevant.length - 1].status]++;
+        });
+
+        return counts;
+    }
+
+    // Whether results name their tests; without names only counts are known
+    get detailed() {
+        return this.tests.size > 0;
+    }
+
+    toJSON() {
+        return {
+            runs: this.runs,
+            tests: Array.from(this.tests.entries()).reduce((acc, [name, runs]) => {
+                acc[name] = runs;
+                return acc;
+            }, {})
+        };
+    }
+}
+
+// Accepts tests as names, { name, status } / { title, state } / { name, passed }
+// objects, plus an optional failures list of names or { name, error }
+function normalizeTestResults(results) {
+    if (!results || typeof results !== 'object') return [];
+
+    const failures = new Map((results.failures || results.failedTests || []).map(failure =>
+        typeof failure === 'string' ? [failure, null] : [testName(failure), failure.error || failure.message || null]
+    ));
+
+    const tests = (Array.isArray(results.tests) ? results.tests : []).map(test => {
+        if (typeof test === 'string') {
+            return { name: test, status: failures.has(test) ? FAILED : PASSED, error: failures.get(test) || undefined };
+        }
+
+        const name = testName(test);
+        return { name, status: statusOf(test, failures.has(name)), error: test.error || failures.get(name) || undefined };
+    });
+
+    // Failures that never appeared in the tests list
+    failures.forEach((error, name) => {
+        if (!tests.some(test => test.name === name)) {
+            tests.push({ name, status: FAILED, error: error || undefined });
+        }
+    });
+
+    return tests;
+}
+
+function testName(test) {
+    return String(test.name || test.title || test.fullName || test.id);
+}
+
+function statusOf(test, listedAsFailure) {
+    if (listedAsFailure) return FAILED;
+
+    const status = String(test.status || test.state || '').toLowerCase();
+    if (['failed', 'failure', 'error', 'broken'].includes(status)) return FAILED;
+    if (['skipped', 'pending', 'todo', 'disabled'].includes(status)) return SKIPPED;
+    if (test.passed === false || test.ok === false) return FAILED;
+    return PASSED;
+}
+
+// A percentage, or null when the QA agent did not report one
+function coverageOf(results) {
+    const coverage = results?.coverage;
+    if (typeof coverage === 'number') return coverage;
+    if (coverage && typeof coverage === 'object') {
+        const value = coverage.lines ?? coverage.statements ?? coverage.total ?? coverage.pct;
+        if (typeof value === 'number') return value;
+        if (typeof value?.pct === 'number') return value.pct;
+    }
+    return null;
+}
+
+module.exports = { TestHistory, normalizeTestResults, coverageOf, PASSED, FAILED, SKIPPED };
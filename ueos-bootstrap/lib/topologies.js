@@ -0,0 +1,214 @@
+/**
+ * Swarm Topologies - Built-in flow graphs and loader for user-defined ones
+ * A topology is a set of phases connected by conditional flows:
+ *   { name, structure, phases: { <phase>: { agent, method } }, flows: [{ from, to, condition }] }
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { ueosHome } = require('./paths');
+
+const ORCHESTRATOR = 'orchestrator';
+const WILDCARD = '*';
+
+const BUILTIN_TOPOLOGIES = {
+    linear: {
+        name: 'linear',
+        structure: 'linear',
+        flows: [
+            { from: ORCHESTRATOR, to: 'research', condition: 'always' },
+            { from: 'research', to: 'spec', condition: 'data_gathered' },
+            { from: 'spec', to: 'dev', condition: 'spec_complete' },
+            { from: 'dev', to: 'qa', condition: 'code_complete' },
+            { from: 'qa', to: 'integration', condition: 'tests_pass' },
+            { from: WILDCARD, to: ORCHESTRATOR, condition: 'blocked' }
+        ]
+    },
+    parallel: {
+        // Never stops on failing tests; integration always runs
+        name: 'parallel',
+        structure: 'parallel',
+        flows: [
+            { from: ORCHESTRATOR, to: 'research', condition: 'always' },
+            { from: 'research', to: 'spec', condition: 'always' },
+            { from: 'spec', to: ['dev', 'qa'], condition: 'always' },
+            { from: 'dev', to: 'qa', condition: 'always' },
+            { from: 'qa', to: 'integration', condition: 'always' }
+        ]
+    },
+    adaptive: {
+        // Adaptive topology adjusts based on task complexity
+        name: 'adaptive',
+        structure: 'adaptive',
+        flows: [
+            { from: ORCHESTRATOR, to: 'research', condition: 'always' },
+            { from: 'research', to: 'spec', condition: 'data_gathered' },
+            { from: 'spec', to: ['dev', 'qa'], condition: 'spec_complete' },
+            { from: 'dev', to: 'qa', condition: 'code_complete' },
+            { from: 'qa', to: 'integration', condition: 'tests_pass' },
+            { from: WILDCARD, to: ORCHESTRATOR, condition: 'blocked' }
+        ]
+    }
+};
+
+const TOPOLOGY_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+function defaultTopologyDirectories() {
+    return [
+        path.join(process.cwd(), '.ueos-local', 'swarm-configs'),
+        path.join(ueosHome(), 'templates', 'swarm-configs')
+    ];
+}
+
+async function loadTopology(name, options = {}) {
+    if (name && typeof name === 'object') {
+        return normalizeTopology(name, options.knownPhases);
+    }
+
+    const directories = options.directories || defaultTopologyDirectories();
+
+    // User-defined files take precedence so teams can override built-ins
+    for (const directory of directories) {
+        for (const extension of TOPOLOGY_EXTENSIONS) {
+            const file = path.join(directory, `${name}${extension}`);
+            const definition = await readTopologyFile(file);
+
+            if (definition) {
+                return normalizeTopology({ name, ...definition, source: file }, options.knownPhases);
+            }
+        }
+    }
+
+    if (BUILTIN_TOPOLOGIES[name]) {
+        return normalizeTopology(BUILTIN_TOPOLOGIES[name], options.knownPhases);
+    }
+
+    throw new Error(`Unknown swarm topology "${name}" (searched ${directories.join(', ')})`);
+}
+
+async function readTopologyFile(file) {
+    let content;
+    try {
+        content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    try {
+        if (file.endsWith('.json')) {
+            return JSON.parse(content);
+        }
+
+        const yaml = require('js-yaml');
+        return yaml.load(content);
+    } catch (error) {
+        throw new Error(`Invalid topology file ${file}: ${error.message}`);
+    }
+}
+
+function normalizeTopology(definition, knownPhases = []) {
+    if (!definition || !Array.isArray(definition.flows) || definition.flows.length === 0) {
+        throw new Error(`Topology "${definition?.name}" must define a non-empty flows array`);
+    }
+
+    const flows = [];
+    definition.flows.forEach(flow => {
+        const targets = Array.isArray(flow.to) ? flow.to : [flow.to];
+        targets.forEach(to => {
+            flows.push({ from: flow.from, to, condition: flow.condition || 'always' });
+        });
+    });
+
+    const topology = {
+        name: definition.name || 'custom',
+        structure: definition.structure || definition.name || 'custom',
+        source: definition.source || 'builtin',
+        phases: definition.phases || {},
+        flows
+    };
+
+    validateTopology(topology, knownPhases);
+    return topology;
+}
+
+function validateTopology(topology, knownPhases = []) {
+    const errors = [];
+    const nodes = getTopologyNodes(topology);
+    const known = new Set([...knownPhases, ...Object.keys(topology.phases)]);
+
+    topology.flows.forEach(flow => {
+        if (!flow.from || !flow.to) {
+            errors.push(`flow ${JSON.stringify(flow)} needs both "from" and "to"`);
+        }
+        if (flow.from === WILDCARD && flow.to !== ORCHESTRATOR) {
+            errors.push(`wildcard flows may only target "${ORCHESTRATOR}"`);
+        }
+        if (typeof flow.condition !== 'string') {
+            errors.push(`flow ${flow.from} -> ${flow.to} has a non-string condition`);
+        }
+    });
+
+    nodes.forEach(node => {
+        if (knownPhases.length > 0 && !known.has(node)) {
+            errors.push(`phase "${node}" has no handler; declare it under "phases"`);
+        }
+    });
+
+    if (!topology.flows.some(flow => flow.from === ORCHESTRATOR)) {
+        errors.push(`at least one flow must start from "${ORCHESTRATOR}"`);
+    }
+
+    if (hasCycle(topology, nodes)) {
+        errors.push('flows must not contain cycles');
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid topology "${topology.name}": ${errors.join('; ')}`);
+    }
+}
+
+function getTopologyNodes(topology) {
+    const nodes = new Set();
+
+    topology.flows.forEach(flow => {
+        [flow.from, flow.to].forEach(node => {
+            if (node && node !== ORCHESTRATOR && node !== WILDCARD) {
+                nodes.add(node);
+            }
+        });
+    });
+
+    return Array.from(nodes);
+}
+
+function hasCycle(topology, nodes) {
+    const visiting = new Set();
+    const visited = new Set();
+
+    const visit = (node) => {
+        if (visiting.has(node)) return true;
+        if (visited.has(node)) return false;
+
+        visiting.add(node);
+        const cyclic = topology.flows
+            .filter(flow => flow.from === node && nodes.includes(flow.to))
+            .some(flow => visit(flow.to));
+        visiting.delete(node);
+        visited.add(node);
+
+        return cyclic;
+    };
+
+    return nodes.some(node => visit(node));
+}
+
+module.exports = {
+    BUILTIN_TOPOLOGIES,
+    ORCHESTRATOR,
+    WILDCARD,
+    loadTopology,
+    normalizeTopology,
+    validateTopology,
+    getTopologyNodes
+};
@@ -0,0 +1,288 @@
+/**
+ * Tracing - Lightweight span tracing for executions, phases and agent calls
+ * Spans follow the OpenTelemetry data model and are exported as OTLP/JSON
+ * (one ExportTraceServiceRequest per line) to ~/.ueos/runtime/traces.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const { performance } = require('perf_hooks');
+const { runtimePath } = require('./paths');
+
+const SPAN_KIND_INTERNAL = 1;
+const STATUS_UNSET = 0;
+const STATUS_OK = 1;
+const STATUS_ERROR = 2;
+
+function nowNanos() {
+    return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1e6));
+}
+
+class Span {
+    constructor(tracer, name, { parent = null, attributes = {} } = {}) {
+        this.tracer = tracer;
+        this.name = name;
+        this.traceId = parent ? parent.traceId : crypto.randomBytes(16).toString('hex');
+        this.spanId = crypto.randomBytes(8).toString('hex');
+        this.parentSpanId = parent ? parent.spanId : null;
+        this.startTime = nowNanos();
+        this.endTime = null;
+        this.attributes = { ...attributes };
+        this.events = [];
+        this.status = { code: STATUS_UNSET };
+    }
+
+    setAttribute(key, value) {
+        if (value !== undefined && value !== null) {
+            this.attributes[key] = value;
+        }
+        return this;
+    }
+
+    setAttributes(attributes) {
+        Object.entries(attributes).forEach(([key, value]) => this.setAttribute(key, value));
+        return this;
+    }
+
+    addEvent(name, attributes = {}) {
+        this.events.push({ name, time: nowNanos(), attributes });
+        return this;
+    }
+
+    recordException(error) {
+        this.setAttribute('error.type', error?.name || 'Error');
+        this.addEvent('exception', {
+            'exception.type': error?.name || 'Error',
+            'exception.message': error?.message || String(error),
+            'exception.stacktrace': error?.stack
+        });
+        this.setStatus(STATUS_ERROR, error?.message);
+        return this;
+    }
+
+    setStatus(code, message) {
+        this.status = message ? { code, message } : { code };
+        return this;
+    }
+
+    end() {
+        if (this.endTime) return;
+
+        this.endTime = nowNanos();
+        if (this.status.code === STATUS_UNSET) {
+            this.status = { code: STATUS_OK };
+        }
+        this.tracer.onSpanEnd(this);
+    }
+
+    get duration() {
+        return this.endTime ? Number(this.endTime - this.startTime) / 1e6 : null;
+    }
+}
+
+class JsonlSpanExporter {
+    constructor(options = {}) {
+        this.directory = options.directory || runtimePath('traces');
+        this.serviceName = options.serviceName || 'ueos-swarm';
+        this.pending = Promise.resolve();
+        this.ready = null;
+    }
+
+    // Rejects when the span could not be written
+    export(span) {
+        // Serialize writes so concurrent spans never interleave within a line;
+        // one failed write does not stop the ones after it
+        const written = this.pending.then(() => this.write(span));
+        this.pending = written.catch(() => {});
+        return written;
+    }
+
+    async write(span) {
+        if (!this.ready) {
+            // Forget a failed mkdir so the next span tries again
+            this.ready = fs.mkdir(this.directory, { recursive: true }).catch(error => {
+                this.ready = null;
+                throw error;
+            });
+        }
+        await this.ready;
+
+        const day = new Date().toISOString().slice(0, 10);
+        const file = path.join(this.directory, `traces-${day}.jsonl`);
+
+        await fs.appendFile(file, JSON.stringify(this.toOtlp(span)) + '\n');
+    }
+
+    toOtlp(span) {
+        return {
+            resourceSpans: [{
+                resource: {
+                    attributes: toOtlpAttributes({
+                        'service.name': this.serviceName,
+                        'process.pid': process.pid
+                    })
+                },
+                scopeSpans: [{
+                    scope: { name: 'ueos.swarm-orchestrator' },
+                    spans: [{
+                        traceId: span.traceId,
+                        spanId: span.spanId,
+                        parentSpanId: span.parentSpanId || undefined,
+                        name: span.name,
+                        kind: SPAN_KIND_INTERNAL,
+                        startTimeUnixNano: span.startTime.toString(),
+                        endTimeUnixNano: span.endTime.toString(),
+                        attributes: toOtlpAttributes(span.attributes),
+                        events: span.events.map(event => ({
+                            name: event.name,
+                            timeUnixNano: event.time.toString(),
+                            attributes: toOtlpAttributes(event.attributes)
+                        })),
+                        status: span.status
+                    }]
+                }]
+            }]
+        };
+    }
+
+    async flush() {
+        await this.pending;
+    }
+}
+
+function toOtlpAttributes(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => ({ key, value: toOtlpValue(value) }));
+}
+
+function toOtlpValue(value) {
+    if (Array.isArray(value)) {
+        return { arrayValue: { values: value.map(toOtlpValue) } };
+    }
+    if (typeof value === 'boolean') return { boolValue: value };
+    if (Number.isInteger(value)) return { intValue: String(value) };
+    if (typeof value === 'number') return { doubleValue: value };
+    if (typeof value === 'object') return { stringValue: JSON.stringify(value) };
+    return { stringValue: String(value) };
+}
+
+class Tracer extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.enabled = options.enabled !== false;
+        this.exporter = options.exporter || new JsonlSpanExporter(options);
+        this.storage = new AsyncLocalStorage();
+    }
+
+    startSpan(name, options = {}) {
+        const parent = options.parent === undefined ? this.currentSpan() : options.parent;
+        return new Span(this, name, { ...options, parent });
+    }
+
+    currentSpan() {
+        return this.storage.getStore() || null;
+    }
+
+    withSpan(span, fn) {
+        return this.storage.run(span, fn);
+    }
+
+    // Runs fn inside a new child span, ending it with the right status
+    async trace(name, attributes, fn) {
+        const span = this.startSpan(name, { attributes });
+
+        try {
+            const result = await this.withSpan(span, () => fn(span));
+            span.end();
+            return result;
+        } catch (error) {
+            span.recordException(error);
+            span.end();
+            throw error;
+        }
+    }
+
+    instrumentAgent(agentName, agent) {
+        const tracer = this;
+
+        return new Proxy(agent, {
+            get(target, property, receiver) {
+                const value = Reflect.get(target, property, receiver);
+
+                // EventEmitter plumbing and non-methods pass straight through
+                if (typeof value !== 'function' || property in EventEmitter.prototype ||
+                    typeof property === 'symbol') {
+                    return value;
+                }
+
+                return function tracedAgentCall(...args) {
+                    // Only calls made while an execution is traced get spans
+                    if (!tracer.currentSpan()) {
+                        return value.apply(target, args);
+                    }
+
+                    const input = args[0];
+                    const span = tracer.startSpan(`agent.${agentName}.${property}`, {
+                        attributes: {
+                            'ueos.agent': agentName,
+                            'ueos.agent.method': property,
+                            'ueos.task.id': input?.id || input?.taskId
+                        }
+                    });
+
+                    let result;
+                    try {
+                        result = tracer.withSpan(span, () => value.apply(target, args));
+                    } catch (error) {
+                        span.recordException(error);
+                        span.end();
+                        throw error;
+                    }
+
+                    if (result && typeof result.then === 'function') {
+                        return result.then(
+                            resolved => {
+                                span.end();
+                                return resolved;
+                            },
+                            error => {
+                                span.recordException(error);
+                                span.end();
+                                throw error;
+                            }
+                        );
+                    }
+
+                    span.end();
+                    return result;
+                };
+            }
+        });
+    }
+
+    onSpanEnd(span) {
+        this.emit('span:end', span);
+
+        if (this.enabled) {
+            Promise.resolve(this.exporter.export(span))
+                .catch(error => this.emit('export:error', { span: span.name, traceId: span.traceId, error }));
+        }
+    }
+
+    async flush() {
+        await this.exporter.flush();
+    }
+}
+
+module.exports = {
+    Tracer,
+    Span,
+    JsonlSpanExporter,
+    STATUS_OK,
+    STATUS_ERROR
+};
@@ -0,0 +1,313 @@
+/**
+ * Usage Ledger - Token, call and estimated cost accounting for agent calls
+ * Every model call an agent makes during an execution counts towards that
+ * execution and towards today's totals (persisted under ~/.ueos/runtime/usage,
+ * written at most every saveDelay ms). Budgets:
+ *   { perExecution: { tokens, cost, calls }, perDay: { tokens, cost, calls }, warnAt: 0.8 }
+ * Crossing warnAt of a limit emits 'warning'; once a limit is used up the next
+ * call is refused with BudgetExceededError, which escalates instead of retrying.
+ * Prices are USD per million tokens: { default: { input, output }, <model>: { input, output } }.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const EventEmitter = require('events');
+const { NEEDS_HUMAN } = require('./retry-policy');
+const { runtimePath } = require('./paths');
+const { invokesModel } = require('./agent-registry');
+
+const METRICS = ['tokens', 'cost', 'calls'];
+
+class BudgetExceededError extends Error {
+    constructor({ scope, metric, used, limit, executionId }) {
+        super(`${scope === 'day' ? 'Daily' : 'Execution'} ${metric} budget exhausted (${round(used)} of ${limit})`);
+        this.name = 'BudgetExceededError';
+        this.code = 'BUDGET_EXCEEDED';
+        // More attempts would only spend more; a human has to raise the budget
+        this.classification = NEEDS_HUMAN;
+        this.escalation = 'Budget exceeded';
+        this.details = { budget: { scope, metric, used: round(used), limit } };
+        this.scope = scope;
+        this.metric = metric;
+        this.executionId = executionId;
+    }
+}
+
+function emptyTotals() {
+    return { calls: 0, inputTokens: 0, outputTokens: 0, tokens: 0, cost: 0 };
+}
+
+function emptyUsage() {
+    return { ...emptyTotals(), agents: {} };
+}
+
+// Agents report usage on their results in Anthropic, OpenAI or camelCase form
+function extractUsage(result) {
+    const usage = result?.usage || result?.tokenUsage || result?.metadata?.usage;
+    if (!usage || typeof usage !== 'object') return null;
+
+    const inputTokens = number(usage.inputTokens ?? usage.input_tokens ?? usage.promptTokens ?? usage.prompt_tokens);
+    const outputTokens = number(usage.outputTokens ?? usage.output_tokens ?? usage.completionTokens ?? usage.completion_tokens);
+
+    return {
+        inputTokens,
+        outputTokens,
+        tokens: number(usage.totalTokens ?? usage.total_tokens) || inputTokens + outputTokens,
+        model: usage.model || result.model,
+        cost: typeof usage.cost === 'number' ? usage.cost : undefined
+    };
+}
+
+function number(value) {
+    return typeof value === 'number' && Number.isFinite(value) ? value : 0;
+}
+
+function round(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+// Adds one call to the totals and to the agent's share of them
+function add(usage, agent, { inputTokens, outputTokens, tokens, cost }) {
+    if (!usage.agents[agent]) usage.agents[agent] = emptyTotals();
+
+    [usage, usage.agents[agent]].forEach(totals => {
+        totals.calls++;
+        totals.inputTokens += inputTokens;
+        totals.outputTokens += outputTokens;
+        totals.tokens += tokens;
+        totals.cost = round(totals.cost + cost);
+    });
+}
+
+class UsageLedger extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.directory = options.directory || runtimePath('usage');
+        this.perExecution = options.perExecution || {};
+        this.perDay = options.perDay || {};
+        this.warnAt = options.warnAt ?? 0.8;
+        this.prices = options.prices || {};
+        this.saveDelay = options.saveDelay ?? 5000;
+
+        this.executions = new Map();
+        this.budgets = new Map();
+        this.day = { date: today(), ...emptyUsage() };
+        this.reported = new Set();
+        this.saveTimer = null;
+        this.pending = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const saved = JSON.parse(await fs.readFile(this.fileFor(this.day.date), 'utf8'));
+            this.day = { ...emptyUsage(), ...saved, date: this.day.date };
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        return this;
+    }
+
+    fileFor(date) {
+        return path.join(this.directory, `usage-${date}.json`);
+    }
+
+    // Starts (or, for resumed executions, continues) an execution's account;
+    // budget overrides the configured per-execution limits
+    open(executionId, { usage, budget } = {}) {
+        const entry = this.executions.get(executionId) || { ...emptyUsage(), ...usage, agents: { ...usage?.agents } };
+        this.executions.set(executionId, entry);
+        if (budget) this.budgets.set(executionId, budget);
+        return entry;
+    }
+
+    close(executionId) {
+        const usage = this.executions.get(executionId);
+        this.executions.delete(executionId);
+        this.budgets.delete(executionId);
+        Array.from(this.reported).filter(key => key.startsWith(`${executionId}:`)).forEach(key => this.reported.delete(key));
+        return usage;
+    }
+
+    get(executionId) {
+        return this.executions.get(executionId) || null;
+    }
+
+    getDaily() {
+        this.rollover();
+        return this.day;
+    }
+
+    limitsFor(executionId) {
+        return { ...this.perExecution, ...this.budgets.get(executionId) };
+    }
+
+    // Throws BudgetExceededError when either budget is already used up
+    check(executionId) {
+        this.rollover();
+        const usage = this.executions.get(executionId) || emptyUsage();
+
+        [['execution', usage, this.limitsFor(executionId)], ['day', this.day, this.perDay]].forEach(([scope, totals, limits]) => {
+            METRICS.forEach(metric => {
+                const limit = limits[metric];
+                if (typeof limit === 'number' && totals[metric] >= limit) {
+                    throw new BudgetExceededError({ scope, metric, used: totals[metric], limit, executionId });
+                }
+            });
+        });
+    }
+
+    record(executionId, agent, reported = {}) {
+        this.rollover();
+
+        const usage = {
+            inputTokens: number(reported.inputTokens),
+            outputTokens: number(reported.outputTokens),
+            tokens: number(reported.tokens) || number(reported.inputTokens) + number(reported.outputTokens)
+        };
+        usage.cost = reported.cost ?? this.estimateCost(reported.model, usage);
+
+        // Calls settling after the execution closed only count for the day
+        const account = this.executions.get(executionId);
+        if (account) add(account, agent, usage);
+        add(this.day, agent, usage);
+
+        this.emit('usage', { executionId, agent, model: reported.model, ...usage });
+        this.checkThresholds(executionId);
+        this.changed();
+    }
+
+    estimateCost(model, { inputTokens, outputTokens }) {
+        const price = (model && this.prices[model]) || this.prices.default;
+        if (!price) return 0;
+        return round((inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1e6);
+    }
+
+    checkThresholds(executionId) {
+        const scopes = [
+            ['execution', executionId, this.executions.get(executionId), this.limitsFor(executionId)],
+            ['day', this.day.date, this.day, this.perDay]
+        ].filter(([, , totals]) => totals);
+
+        scopes.forEach(([scope, key, totals, limits]) => {
+            METRICS.forEach(metric => {
+                const limit = limits[metric];
+                if (typeof limit !== 'number') return;
+
+                const used = totals[metric];
+                const event = { executionId, scope, metric, used: round(used), limit };
+                // Each threshold is reported once per execution or day
+                if (used >= limit) {
+                    this.notify(`${key}:${metric}:exceeded`, () => this.emit('exceeded', event));
+                } else if (used >= limit * this.warnAt) {
+                    this.notify(`${key}:${metric}:warning`, () => this.emit('warning', event));
+                }
+            });
+        });
+    }
+
+    notify(key, fn) {
+        if (this.reported.has(key)) return;
+        this.reported.add(key);
+        fn();
+    }
+
+    rollover() {
+        const date = today();
+        if (date !== this.day.date) {
+            // Yesterday's last calls may still be waiting for a write
+            if (this.saveTimer) this.save();
+            this.day = { date, ...emptyUsage() };
+        }
+    }
+
+    changed() {
+        if (this.saveDelay <= 0) {
+            this.save();
+            return;
+        }
+
+        // Coalesce bursts of calls into one write
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => {
+                this.saveTimer = null;
+                this.save();
+            }, this.saveDelay);
+            if (this.saveTimer.unref) this.saveTimer.unref();
+        }
+    }
+
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        // Serialize writes so an older snapshot never overwrites a newer one;
+        // the day is captured now in case it rolls over before the write
+        const day = this.day;
+        this.pending = this.pending
+            .then(async () => {
+                const snapshot = JSON.stringify(day, null, 2);
+                const file = this.fileFor(day.date);
+                await fs.mkdir(this.directory, { recursive: true });
+                await fs.writeFile(`${file}.tmp`, snapshot);
+                await fs.rename(`${file}.tmp`, file);
+            })
+            .catch(error => this.emit('save:error', { error }));
+        return this.pending;
+    }
+
+    async flush() {
+        if (this.saveTimer) this.save();
+        await this.pending;
+    }
+
+    // Wraps an agent so model calls made during an execution are checked
+    // against the budgets and accounted; resolveExecution returns the current id
+    meter(agentName, agent, resolveExecution) {
+        const ledger = this;
+
+        return new Proxy(agent, {
+            get(target, property, receiver) {
+                const value = Reflect.get(target, property, receiver);
+
+                if (typeof value !== 'function' || property in EventEmitter.prototype ||
+                    typeof property === 'symbol' || !invokesModel(property, value)) {
+                    return value;
+                }
+
+                return function meteredAgentCall(...args) {
+                    const executionId = resolveExecution();
+                    if (!executionId) {
+                        return value.apply(target, args);
+                    }
+
+                    ledger.check(executionId);
+
+                    const result = value.apply(target, args);
+                    if (result && typeof result.then === 'function') {
+                        return result.then(
+                            resolved => {
+                                ledger.record(executionId, agentName, extractUsage(resolved) || {});
+                                return resolved;
+                            },
+                            error => {
+                                // Failed calls still count; some report what they consumed
+                                ledger.record(executionId, agentName, extractUsage(error) || {});
+                                throw error;
+                            }
+                        );
+                    }
+
+                    ledger.record(executionId, agentName, extractUsage(result) || {});
+                    return result;
+                };
+            }
+        });
+    }
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+module.exports = { UsageLedger, BudgetExceededError, extractUsage };